@@ -1,7 +1,32 @@
 // @ts-check
 import { defineConfig } from 'astro/config';
+import { getContactConfig, getWpConfig } from './src/lib/config.ts';
+import { DEFAULT_LOCALE, LOCALES, reportTranslationGaps } from './src/lib/i18n.ts';
+
+// Fail fast on a bad WP_PROFILE / WP_URL instead of midway through the build.
+const wp = getWpConfig();
+const wpOrigin = new URL(wp.url);
+getContactConfig();
+
+reportTranslationGaps();
 
 // https://astro.build/config
 export default defineConfig({
   site: 'https://www.endev.us',
+  i18n: {
+    locales: [...LOCALES],
+    defaultLocale: DEFAULT_LOCALE,
+    // English keeps the existing URLs; other languages live under /es/, /fr/, ...
+    routing: { prefixDefaultLocale: false },
+  },
+  image: {
+    // WordPress uploads are downloaded and optimized at build time instead of hot-linked.
+    remotePatterns: [
+      {
+        protocol: wpOrigin.protocol.replace(':', ''),
+        hostname: wpOrigin.hostname,
+        ...(wpOrigin.port && { port: wpOrigin.port }),
+      },
+    ],
+  },
 });
@@ -0,0 +1,28 @@
+// Refreshes snapshot/wordpress.json from WordPress without running a full build.
+// wp.ts is loaded through Vite so the TypeScript data layer is reused as-is.
+import { createServer } from 'vite';
+
+const server = await createServer({
+  configFile: false,
+  logLevel: 'error',
+  server: { middlewareMode: true, hmr: false },
+  appType: 'custom',
+});
+
+try {
+  const { syncSnapshot } = await server.ssrLoadModule('/src/lib/wp.ts');
+  const { SNAPSHOT_PATH } = await server.ssrLoadModule('/src/lib/snapshot.ts');
+  const { getWpConfig } = await server.ssrLoadModule('/src/lib/config.ts');
+  const config = getWpConfig();
+  console.log(`Syncing ${config.url} (${config.profile} profile)`);
+  const counts = await syncSnapshot();
+  for (const [key, count] of Object.entries(counts)) {
+    console.log(`  ${key.padEnd(12)} ${count}`);
+  }
+  console.log(`Content snapshot written to ${SNAPSHOT_PATH}`);
+} catch (e) {
+  console.error('Content sync failed:', e);
+  process.exitCode = 1;
+} finally {
+  await server.close();
+}
@@ -0,0 +1,9 @@
+import { defineCollection } from 'astro:content';
+import { wordpressLoader } from './lib/wp';
+
+const insights = defineCollection({ loader: wordpressLoader('posts') });
+const pages = defineCollection({ loader: wordpressLoader('pages') });
+const categories = defineCollection({ loader: wordpressLoader('categories') });
+const tags = defineCollection({ loader: wordpressLoader('tags') });
+
+export const collections = { insights, pages, categories, tags };
@@ -0,0 +1,42 @@
+import type { Author, Post } from './wp';
+import { restPageSlices, type PageSlice } from './pagination';
+
+export function authorHref(author: Pick<Author, 'slug'>): string {
+  return `/insights/author/${author.slug}`;
+}
+
+// The embedded author; WordPress returns an error object instead when the user is hidden from the API.
+export function getPostAuthor(post: Post): Author | null {
+  const author = post._embedded?.author?.[0];
+  return author && author.id === post.author && author.slug ? author : null;
+}
+
+// Largest avatar WordPress offers (24/48/96 by default).
+export function authorAvatar(author: Author): string | undefined {
+  const sizes = Object.keys(author.avatar_urls ?? {}).map(Number).sort((a, b) => b - a);
+  return sizes.length ? author.avatar_urls![String(sizes[0])] : undefined;
+}
+
+export interface AuthorArchiveProps {
+  author: Author;
+  page: PageSlice<Post>;
+}
+
+// Authors are collected from embedded post data since `wp/v2/users` is often locked down.
+export function authorArchivePaths(posts: Post[]) {
+  const byAuthor = new Map<number, { author: Author; posts: Post[] }>();
+  for (const post of posts) {
+    const author = getPostAuthor(post);
+    if (!author) continue;
+    const entry = byAuthor.get(author.id) ?? { author, posts: [] };
+    entry.posts.push(post);
+    byAuthor.set(author.id, entry);
+  }
+
+  return [...byAuthor.values()].flatMap(({ author, posts: authorPosts }) =>
+    restPageSlices(authorPosts).map(({ param, page }) => ({
+      params: { slug: author.slug, page: param },
+      props: { author, page } satisfies AuthorArchiveProps,
+    }))
+  );
+}
@@ -0,0 +1,174 @@
+import { getCollection } from 'astro:content';
+import { withPaths, type Page, type Post, type Term } from './wp';
+import { permalinkKey, type PermalinkMap } from './html';
+import { authorHref, getPostAuthor } from './authors';
+import { termHref } from './taxonomy';
+import { getWpConfig } from './config';
+import { DEFAULT_LOCALE, LOCALES, localizedPaths, type Locale } from './i18n';
+import { getAdjacentPosts, getRelatedPosts } from './related';
+import { paginate } from './pagination';
+import {
+  groupTranslations,
+  insightHref,
+  insightLanguage,
+  pickTranslation,
+  type TranslationGroup,
+} from './translations';
+
+function newestFirst(a: Post, b: Post): number {
+  return b.date.localeCompare(a.date);
+}
+
+// Collection stores have no inherent order; insights read newest first like the REST API.
+export async function getAllInsights(): Promise<Post[]> {
+  const entries = await getCollection('insights');
+  return entries.map((entry) => entry.data).sort(newestFirst);
+}
+
+/** Language a post is written in, see insightLanguage(). */
+export function getInsightLanguage(post: Post): Locale {
+  return insightLanguage(post, getWpConfig().fallbackLanguage);
+}
+
+const reportedCollisions = new Set<string>();
+
+/**
+ * Untranslated posts in different languages may share a slug, and as copies in one locale they
+ * would share a route too. Keeps the one written in `locale` (else the newest) and warns once
+ * per route, since the others would otherwise be overwritten without notice.
+ */
+function uniqueRoutes(posts: Post[], locale: Locale): Post[] {
+  const bySlug = new Map<string, Post[]>();
+  for (const post of posts) bySlug.set(post.slug, [...(bySlug.get(post.slug) ?? []), post]);
+  return [...bySlug.values()].map((group) => {
+    const kept = group.find((post) => getInsightLanguage(post) === locale) ?? group[0];
+    const route = insightHref(kept, locale);
+    if (group.length > 1 && !reportedCollisions.has(route)) {
+      reportedCollisions.add(route);
+      const ids = group.map((post) => `#${post.id} (${getInsightLanguage(post)})`).join(', ');
+      console.warn(
+        `[i18n:${locale}] insights ${ids} share the route ${route}; only #${kept.id} is built. ` +
+          'Give them distinct slugs in WordPress.'
+      );
+    }
+    return kept;
+  });
+}
+
+/**
+ * Insights as listed in `locale`: one per translation group, in that language when translated
+ * and in the configured fallback language otherwise. Without a multilingual plugin, every insight.
+ */
+export async function getInsights(locale: Locale = DEFAULT_LOCALE): Promise<Post[]> {
+  const { fallbackLanguage } = getWpConfig();
+  const posts = groupTranslations(await getAllInsights(), fallbackLanguage)
+    .map((group) => pickTranslation(group, locale, fallbackLanguage))
+    .sort(newestFirst);
+  return uniqueRoutes(posts, locale);
+}
+
+export interface InsightLanguages {
+  /** Language the post is written in. */
+  language: Locale;
+  /** The post and its translations by language. */
+  translations: TranslationGroup;
+  /** The post's reader route in every UI locale, where untranslated locales show the fallback version. */
+  routes: Record<Locale, string>;
+}
+
+export async function getInsightLanguages(post: Post): Promise<InsightLanguages> {
+  const { fallbackLanguage } = getWpConfig();
+  const groups = groupTranslations(await getAllInsights(), fallbackLanguage);
+  const language = getInsightLanguage(post);
+  const group =
+    groups.find((candidate) => candidate.get(language)?.id === post.id) ?? new Map([[language, post]]);
+  const routes = Object.fromEntries(
+    LOCALES.map((locale) => [locale, insightHref(pickTranslation(group, locale, fallbackLanguage), locale)])
+  ) as Record<Locale, string>;
+  return { language, translations: group, routes };
+}
+
+// getStaticPaths() entries of the insight reader in `locale`.
+export async function getInsightPaths(locale: Locale) {
+  const posts = await getInsights(locale);
+  return posts.map((post) => ({
+    params: { slug: post.slug },
+    props: { post, related: getRelatedPosts(posts, post), ...getAdjacentPosts(posts, post) },
+  }));
+}
+
+// getStaticPaths() entries of the insight archive's pages in `locale`; page 1 is the archive root itself.
+export async function getArchivePagePaths(locale: Locale) {
+  const posts = await getInsights(locale);
+  const { last } = paginate(posts, 1);
+  return Array.from({ length: Math.max(0, last - 1) }, (_, i) => ({
+    params: { page: String(i + 2) },
+    props: { page: paginate(posts, i + 2) },
+  }));
+}
+
+/** Page `page` of the insight archive in every locale whose archive runs that long, for hreflang. */
+export async function getArchivePageRoutes(page: number): Promise<Partial<Record<Locale, string>>> {
+  const routes = localizedPaths(`/insights/page/${page}`);
+  const lasts = await Promise.all(LOCALES.map(async (locale) => paginate(await getInsights(locale), 1).last));
+  return Object.fromEntries(LOCALES.filter((_, i) => lasts[i] >= page).map((locale) => [locale, routes[locale]]));
+}
+
+export async function getInsightCategories(): Promise<Term[]> {
+  return (await getCollection('categories')).map((entry) => entry.data);
+}
+
+export async function getInsightTags(): Promise<Term[]> {
+  return (await getCollection('tags')).map((entry) => entry.data);
+}
+
+// First path segments owned by code routes; a WordPress page there would be shadowed or collide.
+const RESERVED_SEGMENTS = new Set<string>(['insights', ...LOCALES]);
+
+const reportedReserved = new Set<string>();
+
+/**
+ * WordPress pages the site builds, by menu order. Pages under a reserved first segment are left
+ * out (with a warning, once), so the page route, the sitemap and link rewriting agree on the list.
+ */
+export async function getSitePages(): Promise<Page[]> {
+  const pages = (await getCollection('pages')).map((entry) => entry.data);
+  return withPaths(pages.sort((a, b) => a.menu_order - b.menu_order)).filter((page) => {
+    if (!RESERVED_SEGMENTS.has(page.path.split('/')[0])) return true;
+    if (!reportedReserved.has(page.path)) {
+      reportedReserved.add(page.path);
+      console.warn(`Skipping WordPress page "${page.path}": path is reserved by the site`);
+    }
+    return false;
+  });
+}
+
+/** The WordPress page at `path` (e.g. `about` or `company/team`), or null when editors haven't created it. */
+export async function getSitePageByPath(path: string): Promise<Page | null> {
+  const normalized = path.replace(/^\/+|\/+$/g, '');
+  return (await getSitePages()).find((page) => page.path === normalized) ?? null;
+}
+
+// WordPress permalinks of every generated route, for rewriting links inside post content.
+export async function getPermalinks(): Promise<PermalinkMap> {
+  const [posts, pages, categories, tags] = await Promise.all([
+    getAllInsights(),
+    getSitePages(),
+    getInsightCategories(),
+    getInsightTags(),
+  ]);
+  const permalinks: PermalinkMap = new Map();
+  const add = (link: string | undefined, route: string) => {
+    if (link) permalinks.set(permalinkKey(link), route);
+  };
+
+  // Each post's own-language route; the fallback copies in other locales point there as canonical.
+  for (const post of posts) {
+    add(post.link, insightHref(post, getInsightLanguage(post)));
+    const author = getPostAuthor(post);
+    if (author) add(author.link, authorHref(author));
+  }
+  for (const page of pages) add(page.link, `/${page.path}`);
+  for (const term of [...categories, ...tags]) add(term.link, termHref(term));
+  return permalinks;
+}
@@ -0,0 +1,243 @@
+import { existsSync } from 'node:fs';
+import type { TransportConfig, TransportName } from './contact-transports';
+import { DEFAULT_LOCALE, isLocale, LOCALES, type Locale } from './i18n';
+import type { SpamRules } from './spam';
+
+export type ProfileName = 'production' | 'staging' | 'local';
+
+export interface WpConfig {
+  profile: ProfileName;
+  /** WordPress origin, without trailing slash. */
+  url: string;
+  apiUrl: string;
+  logoUrl: string;
+  /** Application password credentials, sent as HTTP Basic auth. */
+  auth?: {
+    username: string;
+    password: string;
+  };
+  timeoutMs: number;
+  retries: number;
+  concurrency: number;
+  perPage: number;
+  /** Language of posts the multilingual plugin doesn't tag, and shown where a translation is missing. */
+  fallbackLanguage: Locale;
+  /** IANA timezone dates are shown in; when unset, the WordPress timezone setting is used. */
+  timezone?: string;
+}
+
+interface Profile {
+  url?: string;
+  timeoutMs: number;
+  retries: number;
+  concurrency: number;
+}
+
+const PROFILES: Record<ProfileName, Profile> = {
+  production: { url: 'https://coury.endev.us', timeoutMs: 10000, retries: 3, concurrency: 4 },
+  // No default host: staging builds must name theirs through WP_URL.
+  staging: { timeoutMs: 10000, retries: 3, concurrency: 4 },
+  // Default port of @wordpress/env.
+  local: { url: 'http://localhost:8888', timeoutMs: 5000, retries: 1, concurrency: 2 },
+};
+
+export class ConfigError extends Error {
+  constructor(
+    public readonly problems: string[],
+    subject = 'WordPress'
+  ) {
+    super(`Invalid ${subject} configuration:\n${problems.map((p) => `  - ${p}`).join('\n')}`);
+    this.name = 'ConfigError';
+  }
+}
+
+function parseInteger(name: string, value: string | undefined, fallback: number, min: number, problems: string[]): number {
+  if (value === undefined || value === '') return fallback;
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < min) {
+    problems.push(`${name} must be an integer >= ${min}, got "${value}"`);
+    return fallback;
+  }
+  return parsed;
+}
+
+export function isTimeZone(value: string): boolean {
+  try {
+    new Intl.DateTimeFormat('en', { timeZone: value });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Builds the WordPress config from a profile (`WP_PROFILE`, default `production`)
+ * overridden by `WP_URL`, `WP_LOGO_URL`, `WP_USERNAME`/`WP_APP_PASSWORD`,
+ * `WP_TIMEOUT_MS`, `WP_RETRIES`, `WP_CONCURRENCY`, `WP_PER_PAGE`, `WP_FALLBACK_LANGUAGE` and `WP_TIMEZONE`.
+ * Throws a ConfigError listing every problem.
+ */
+export function loadWpConfig(env: Record<string, string | undefined> = process.env): WpConfig {
+  const problems: string[] = [];
+
+  const profileName = (env.WP_PROFILE || 'production') as ProfileName;
+  if (!(profileName in PROFILES)) {
+    throw new ConfigError([`WP_PROFILE must be one of ${Object.keys(PROFILES).join(', ')}, got "${profileName}"`]);
+  }
+  const profile = PROFILES[profileName];
+
+  let url = (env.WP_URL || profile.url || '').replace(/\/+$/, '');
+  if (!url) {
+    problems.push(`WP_URL is required for the "${profileName}" profile`);
+  } else {
+    try {
+      const parsed = new URL(url);
+      if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') {
+        problems.push(`WP_URL must use http or https, got "${parsed.protocol}"`);
+      }
+      url = `${parsed.origin}${parsed.pathname.replace(/\/+$/, '')}`;
+    } catch {
+      problems.push(`WP_URL is not a valid URL: "${url}"`);
+    }
+  }
+
+  const username = env.WP_USERNAME;
+  const password = env.WP_APP_PASSWORD;
+  if (Boolean(username) !== Boolean(password)) {
+    problems.push('WP_USERNAME and WP_APP_PASSWORD must be set together');
+  }
+
+  const fallbackLanguage = env.WP_FALLBACK_LANGUAGE || DEFAULT_LOCALE;
+  if (!isLocale(fallbackLanguage)) {
+    problems.push(`WP_FALLBACK_LANGUAGE must be one of ${LOCALES.join(', ')}, got "${fallbackLanguage}"`);
+  }
+
+  const timezone = env.WP_TIMEZONE || undefined;
+  if (timezone && !isTimeZone(timezone)) {
+    problems.push(`WP_TIMEZONE must be an IANA timezone such as Europe/Madrid, got "${timezone}"`);
+  }
+
+  const config: WpConfig = {
+    profile: profileName,
+    url,
+    apiUrl: `${url}/wp-json`,
+    logoUrl: env.WP_LOGO_URL || `${url}/wp-content/uploads/logo.png`,
+    auth: username && password ? { username, password } : undefined,
+    timeoutMs: parseInteger('WP_TIMEOUT_MS', env.WP_TIMEOUT_MS, profile.timeoutMs, 1, problems),
+    retries: parseInteger('WP_RETRIES', env.WP_RETRIES, profile.retries, 1, problems),
+    concurrency: parseInteger('WP_CONCURRENCY', env.WP_CONCURRENCY, profile.concurrency, 1, problems),
+    perPage: parseInteger('WP_PER_PAGE', env.WP_PER_PAGE, 100, 1, problems),
+    fallbackLanguage: isLocale(fallbackLanguage) ? fallbackLanguage : DEFAULT_LOCALE,
+    timezone,
+  };
+  if (config.perPage > 100) {
+    problems.push(`WP_PER_PAGE cannot exceed 100 (WordPress REST limit), got ${config.perPage}`);
+  }
+
+  if (problems.length > 0) throw new ConfigError(problems);
+  return config;
+}
+
+let active: WpConfig | null = null;
+
+// The config for this process, read once from `.env` and the environment (real env vars win).
+export function getWpConfig(): WpConfig {
+  if (!active) {
+    if (existsSync('.env')) process.loadEnvFile('.env');
+    active = loadWpConfig();
+  }
+  return active;
+}
+
+const TRANSPORTS: TransportName[] = ['emailjs', 'wordpress', 'webhook', 'mailto'];
+
+export interface ContactConfig {
+  /** Address mail is sent to, and offered as a `mailto:` fallback when delivery fails. */
+  email: string;
+  transport: TransportConfig;
+  spam: SpamRules;
+  /** Where spam rejections are reported, see reportRejection(). */
+  reportUrl?: string;
+}
+
+// Common subjects of the bot spam the legacy form let through.
+const BLOCKED_KEYWORDS = ['viagra', 'cialis', 'casino', 'backlinks', 'seo services', 'crypto investment', 'loan offer'];
+
+/**
+ * Builds the contact form config: `CONTACT_TRANSPORT` (default `mailto`) picks the delivery,
+ * configured by `EMAILJS_SERVICE_ID`/`EMAILJS_TEMPLATE_ID`/`EMAILJS_PUBLIC_KEY`, `CONTACT_CF7_FORM_ID`
+ * or `CONTACT_WEBHOOK_URL`; `CONTACT_EMAIL` is the recipient. Spam rules are tuned with
+ * `CONTACT_MIN_SUBMIT_SECONDS`, `CONTACT_MAX_PER_HOUR`, `CONTACT_MAX_LINKS`, `CONTACT_BLOCKED_KEYWORDS`
+ * and `CONTACT_POW_BITS`, and rejections are reported to `CONTACT_REPORT_URL` (by default the
+ * webhook, if that is the transport). Everything here ends up in the page, so only public keys belong in it.
+ * Throws a ConfigError listing every problem.
+ */
+export function loadContactConfig(wp: WpConfig, env: Record<string, string | undefined> = process.env): ContactConfig {
+  const problems: string[] = [];
+
+  const email = env.CONTACT_EMAIL || 'contact@endev.us';
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) problems.push(`CONTACT_EMAIL is not an email address: "${email}"`);
+
+  const type = (env.CONTACT_TRANSPORT || 'mailto') as TransportName;
+  const required = (...names: string[]) => {
+    for (const name of names) if (!env[name]) problems.push(`${name} is required when CONTACT_TRANSPORT=${type}`);
+  };
+
+  let transport: TransportConfig = { type: 'mailto', to: email };
+  switch (type) {
+    case 'emailjs':
+      required('EMAILJS_SERVICE_ID', 'EMAILJS_TEMPLATE_ID', 'EMAILJS_PUBLIC_KEY');
+      transport = {
+        type,
+        serviceId: env.EMAILJS_SERVICE_ID ?? '',
+        templateId: env.EMAILJS_TEMPLATE_ID ?? '',
+        publicKey: env.EMAILJS_PUBLIC_KEY ?? '',
+        to: email,
+      };
+      break;
+    case 'wordpress': {
+      required('CONTACT_CF7_FORM_ID');
+      const formId = parseInteger('CONTACT_CF7_FORM_ID', env.CONTACT_CF7_FORM_ID, 0, 1, problems);
+      transport = { type, formId, endpoint: `${wp.apiUrl}/contact-form-7/v1/contact-forms/${formId}/feedback` };
+      break;
+    }
+    case 'webhook': {
+      required('CONTACT_WEBHOOK_URL');
+      const url = env.CONTACT_WEBHOOK_URL ?? '';
+      if (url && !/^https?:\/\//.test(url)) problems.push(`CONTACT_WEBHOOK_URL must be an http(s) URL, got "${url}"`);
+      transport = { type, url };
+      break;
+    }
+    case 'mailto':
+      break;
+    default:
+      problems.push(`CONTACT_TRANSPORT must be one of ${TRANSPORTS.join(', ')}, got "${type}"`);
+  }
+
+  const spam: SpamRules = {
+    minSubmitMs: parseInteger('CONTACT_MIN_SUBMIT_SECONDS', env.CONTACT_MIN_SUBMIT_SECONDS, 3, 0, problems) * 1000,
+    maxSubmissions: parseInteger('CONTACT_MAX_PER_HOUR', env.CONTACT_MAX_PER_HOUR, 3, 1, problems),
+    throttleWindowMs: 60 * 60 * 1000,
+    maxLinks: parseInteger('CONTACT_MAX_LINKS', env.CONTACT_MAX_LINKS, 2, 0, problems),
+    blockedKeywords: env.CONTACT_BLOCKED_KEYWORDS
+      ? env.CONTACT_BLOCKED_KEYWORDS.split(',').map((keyword) => keyword.trim().toLowerCase()).filter(Boolean)
+      : BLOCKED_KEYWORDS,
+    proofOfWorkBits: parseInteger('CONTACT_POW_BITS', env.CONTACT_POW_BITS, 16, 0, problems),
+  };
+  // Each extra bit doubles the visitor's wait; past 24 it takes minutes on a phone.
+  if (spam.proofOfWorkBits > 24) problems.push(`CONTACT_POW_BITS cannot exceed 24, got ${spam.proofOfWorkBits}`);
+
+  const reportUrl = env.CONTACT_REPORT_URL || (transport.type === 'webhook' ? transport.url : undefined);
+  if (reportUrl && !/^https?:\/\//.test(reportUrl)) {
+    problems.push(`CONTACT_REPORT_URL must be an http(s) URL, got "${reportUrl}"`);
+  }
+
+  if (problems.length > 0) throw new ConfigError(problems, 'contact form');
+  return { email, transport, spam, reportUrl };
+}
+
+let contact: ContactConfig | null = null;
+
+export function getContactConfig(): ContactConfig {
+  contact ??= loadContactConfig(getWpConfig());
+  return contact;
+}
@@ -0,0 +1,170 @@
+// Client-safe: ContactForm.astro delivers messages straight from the browser, since the
+// site is static and has no server of its own.
+import type { ContactMessage } from './contact';
+import { isRetryableStatus } from './http';
+
+/** Serializable transport settings, built from the environment by getContactConfig(). */
+export type TransportConfig =
+  | { type: 'emailjs'; serviceId: string; templateId: string; publicKey: string; to: string }
+  | { type: 'wordpress'; endpoint: string; formId: number }
+  | { type: 'webhook'; url: string }
+  | { type: 'mailto'; to: string };
+
+export type TransportName = TransportConfig['type'];
+
+export class TransportError extends Error {
+  constructor(
+    public readonly transport: TransportName,
+    message: string,
+    /** Whether sending the same message again later may succeed (network down, 5xx, rate limit). */
+    public readonly retryable: boolean,
+    /** The request may have reached the receiver even though no answer came back. */
+    public readonly maybeDelivered = false
+  ) {
+    super(`${transport}: ${message}`);
+    this.name = 'TransportError';
+  }
+}
+
+/** What the form adds to a message for the receiving end. */
+export interface DeliveryMeta {
+  /** Proof-of-work token from solveProofOfWork(), for receivers that verify it. */
+  proof?: string;
+  /** Same for every attempt at one message (see outbox.ts), so receivers can drop repeats. */
+  idempotencyKey?: string;
+}
+
+export interface ContactTransport {
+  name: TransportName;
+  /** False when the message is handed to the visitor's mail app rather than sent. */
+  delivers: boolean;
+  /** Whether the receiver gets DeliveryMeta.proof, so solving it is worth the visitor's time. */
+  carriesProof: boolean;
+  /** Whether the receiver can drop repeats by DeliveryMeta.idempotencyKey, making blind retries safe. */
+  dedupes: boolean;
+  send(message: ContactMessage, meta?: DeliveryMeta): Promise<void>;
+}
+
+const EMAILJS_ENDPOINT = 'https://api.emailjs.com/api/v1.0/email/send';
+
+// fetch() only rejects when no answer came back, which is worth retrying. Unless the browser was
+// offline, though, the request may have been received and only the response lost.
+async function post(transport: TransportName, url: string, init: RequestInit): Promise<Response> {
+  let res: Response;
+  try {
+    res = await fetch(url, { method: 'POST', ...init });
+  } catch (e) {
+    throw new TransportError(transport, e instanceof Error ? e.message : String(e), true, navigator.onLine);
+  }
+  if (!res.ok) throw new TransportError(transport, `HTTP ${res.status}`, isRetryableStatus(res.status));
+  return res;
+}
+
+function postJson(transport: TransportName, url: string, body: unknown): Promise<Response> {
+  return post(transport, url, { headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+}
+
+/** `mailto:` link with the message prefilled; also offered when another transport fails. */
+export function mailtoHref(to: string, { name, email, subject, message }: ContactMessage): string {
+  const params = new URLSearchParams({ subject, body: `${message}\n\n${name} <${email}>` });
+  // Mail clients expect %20, not the + URLSearchParams writes for spaces.
+  return `mailto:${to}?${params.toString().replace(/\+/g, '%20')}`;
+}
+
+// EmailJS' REST API, with the template parameters the legacy EmailJS template expects.
+function emailJsTransport(config: Extract<TransportConfig, { type: 'emailjs' }>): ContactTransport {
+  return {
+    name: 'emailjs',
+    delivers: true,
+    carriesProof: true,
+    // EmailJS mails whatever it receives; the key only shows up in the template.
+    dedupes: false,
+    async send({ name, email, subject, message }, meta = {}) {
+      await postJson('emailjs', EMAILJS_ENDPOINT, {
+        service_id: config.serviceId,
+        template_id: config.templateId,
+        user_id: config.publicKey,
+        template_params: {
+          from_name: name,
+          from_email: email,
+          subject,
+          message,
+          to_email: config.to,
+          proof: meta.proof ?? '',
+          idempotency_key: meta.idempotencyKey ?? '',
+        },
+      });
+    },
+  };
+}
+
+// Contact Form 7's feedback endpoint, using the field names of its default form template.
+function wordpressTransport(config: Extract<TransportConfig, { type: 'wordpress' }>): ContactTransport {
+  return {
+    name: 'wordpress',
+    delivers: true,
+    carriesProof: false,
+    // Contact Form 7 ignores fields its form doesn't declare.
+    dedupes: false,
+    async send({ name, email, subject, message }, meta = {}) {
+      const body = new FormData();
+      body.set('your-name', name);
+      body.set('your-email', email);
+      body.set('your-subject', subject);
+      body.set('your-message', message);
+      // Required since CF7 5.8; any tag naming the form will do.
+      body.set('_wpcf7_unit_tag', `wpcf7-f${config.formId}-o1`);
+      if (meta.idempotencyKey) body.set('idempotency-key', meta.idempotencyKey);
+      const res = await post('wordpress', config.endpoint, { body });
+      const { status, message: detail } = (await res.json()) as { status?: string; message?: string };
+      if (status === 'mail_sent') return;
+      // A failed mail server may recover; validation or spam verdicts won't change on retry.
+      throw new TransportError('wordpress', `${status}: ${detail ?? ''}`.trim(), status === 'mail_failed');
+    },
+  };
+}
+
+function webhookTransport(config: Extract<TransportConfig, { type: 'webhook' }>): ContactTransport {
+  return {
+    name: 'webhook',
+    delivers: true,
+    carriesProof: true,
+    dedupes: true,
+    async send(message, meta = {}) {
+      // The idempotency key travels in the body, so it stays with the message wherever the payload
+      // is logged or forwarded. A header would also need listing in Access-Control-Allow-Headers.
+      await postJson('webhook', config.url, {
+        ...message,
+        ...meta,
+        page: window.location.href,
+        language: document.documentElement.lang,
+        sentAt: new Date().toISOString(),
+      });
+    },
+  };
+}
+
+function mailtoTransport(config: Extract<TransportConfig, { type: 'mailto' }>): ContactTransport {
+  return {
+    name: 'mailto',
+    delivers: false,
+    carriesProof: false,
+    dedupes: false,
+    async send(message) {
+      window.location.href = mailtoHref(config.to, message);
+    },
+  };
+}
+
+export function createTransport(config: TransportConfig): ContactTransport {
+  switch (config.type) {
+    case 'emailjs':
+      return emailJsTransport(config);
+    case 'wordpress':
+      return wordpressTransport(config);
+    case 'webhook':
+      return webhookTransport(config);
+    case 'mailto':
+      return mailtoTransport(config);
+  }
+}
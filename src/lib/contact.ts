@@ -0,0 +1,43 @@
+// Client-safe: the contact form validates in the browser with the same rules the legacy
+// contact-form.js used.
+
+export const CONTACT_FIELDS = ['name', 'email', 'subject', 'message'] as const;
+export type ContactField = (typeof CONTACT_FIELDS)[number];
+
+export type ContactMessage = Record<ContactField, string>;
+
+/** A failed check; the form turns it into a translated message (`contact.error_<code>`). */
+export interface FieldError {
+  code: 'too_short' | 'invalid_email';
+  /** Minimum length, for `too_short`. */
+  min?: number;
+}
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function minLength(min: number) {
+  return (value: string): FieldError | null => (value.trim().length < min ? { code: 'too_short', min } : null);
+}
+
+const VALIDATORS: Record<ContactField, (value: string) => FieldError | null> = {
+  name: minLength(4),
+  email: (value) => (EMAIL_PATTERN.test(value) ? null : { code: 'invalid_email' }),
+  subject: minLength(4),
+  message: minLength(10),
+};
+
+export function validateField(field: ContactField, value: string): FieldError | null {
+  return VALIDATORS[field](value);
+}
+
+export function validateForm(message: ContactMessage): {
+  isValid: boolean;
+  errors: Partial<Record<ContactField, FieldError>>;
+} {
+  const errors: Partial<Record<ContactField, FieldError>> = {};
+  for (const field of CONTACT_FIELDS) {
+    const error = validateField(field, message[field]);
+    if (error) errors[field] = error;
+  }
+  return { isValid: Object.keys(errors).length === 0, errors };
+}
@@ -0,0 +1,18 @@
+import type { Post } from './wp';
+
+// WordPress' `*_gmt` fields are UTC without an offset; the plain ones are the site's wall-clock time.
+export function wpDate(gmt: string | undefined, local: string): Date {
+  return new Date(gmt ? `${gmt}Z` : local);
+}
+
+export function postPublished(post: Post): Date {
+  return wpDate(post.date_gmt, post.date);
+}
+
+export function postModified(post: Post): Date {
+  return post.modified ? wpDate(post.modified_gmt, post.modified) : postPublished(post);
+}
+
+export function latest(dates: Date[]): Date | undefined {
+  return dates.length ? new Date(Math.max(...dates.map(Number))) : undefined;
+}
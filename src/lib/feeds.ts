@@ -0,0 +1,317 @@
+import { getSiteInfo, type Post, type Term } from './wp';
+import { getInsightCategories, getInsightLanguage, getInsights, getPermalinks } from './collections';
+import { insightHref } from './translations';
+import { authorHref, getPostAuthor } from './authors';
+import { getPostTerms, postsForTerm, termHref } from './taxonomy';
+import { renderFeedHtml } from './html';
+import { decodeEntities, escapeXml, htmlToText } from './text';
+import { latest, postModified, postPublished } from './dates';
+import { DEFAULT_LOCALE, localeHref, useTranslations, type Locale } from './i18n';
+
+const FEED_LIMIT = 20;
+
+export type FeedFormat = 'rss' | 'atom' | 'json';
+
+const FEED_FILES: Record<FeedFormat, string> = {
+  rss: 'rss.xml',
+  atom: 'atom.xml',
+  json: 'feed.json',
+};
+
+const FEED_TYPES: Record<FeedFormat, string> = {
+  rss: 'application/rss+xml',
+  atom: 'application/atom+xml',
+  json: 'application/feed+json',
+};
+
+export interface FeedLink {
+  type: string;
+  href: string;
+  title: string;
+}
+
+// Feeds live next to the HTML page they syndicate: `/rss.xml`, `/insights/category/x/rss.xml`.
+export function feedHref(base: string, format: FeedFormat): string {
+  return `${base.replace(/\/$/, '')}/${FEED_FILES[format]}`;
+}
+
+/** `<link rel="alternate">` entries for the feeds of the page at `base`. */
+export function feedLinks(base: string, title: string): FeedLink[] {
+  const labels: Record<FeedFormat, string> = { rss: 'RSS', atom: 'Atom', json: 'JSON Feed' };
+  return (Object.keys(FEED_FILES) as FeedFormat[]).map((format) => ({
+    type: FEED_TYPES[format],
+    href: feedHref(base, format),
+    title: `${title} (${labels[format]})`,
+  }));
+}
+
+interface FeedItem {
+  url: string;
+  /** Language the post is written in. */
+  language: Locale;
+  title: string;
+  summary: string;
+  contentHtml: string;
+  published: Date;
+  updated: Date;
+  author?: { name: string; url: string };
+  categories: string[];
+  image?: { url: string; type: string; length: number };
+}
+
+interface Feed {
+  title: string;
+  description: string;
+  /** Absolute URL of the HTML page the feed mirrors. */
+  home: string;
+  /** Base path of this feed's files, see feedHref(). */
+  base: string;
+  site: URL;
+  /** Declared on the feed only when every item is in it; otherwise each item carries its own. */
+  language?: Locale;
+  updated: Date;
+  items: FeedItem[];
+}
+
+function guessImageType(url: string): string {
+  const extension = new URL(url).pathname.split('.').pop()?.toLowerCase();
+  return extension === 'jpg' ? 'image/jpeg' : `image/${extension || 'jpeg'}`;
+}
+
+async function toFeedItem(post: Post, site: URL): Promise<FeedItem> {
+  const permalinks = await getPermalinks();
+  const author = getPostAuthor(post);
+  const media = post._embedded?.['wp:featuredmedia']?.[0];
+
+  return {
+    url: new URL(insightHref(post, getInsightLanguage(post)), site).href,
+    language: getInsightLanguage(post),
+    title: htmlToText(post.title.rendered),
+    summary: htmlToText(post.excerpt.rendered),
+    contentHtml: await renderFeedHtml(post.content.rendered, { permalinks, site: site.origin }),
+    published: postPublished(post),
+    updated: postModified(post),
+    author: author ? { name: author.name, url: new URL(authorHref(author), site).href } : undefined,
+    categories: getPostTerms(post)
+      .filter((term) => term.taxonomy === 'category')
+      .map((term) => decodeEntities(term.name)),
+    image: media?.source_url
+      ? {
+          url: media.source_url,
+          type: media.mime_type ?? guessImageType(media.source_url),
+          // RSS requires a length; 0 is the accepted value when the size is unknown.
+          length: media.media_details?.filesize ?? 0,
+        }
+      : undefined,
+  };
+}
+
+// Items are shared by the site feed and every category feed; content is rendered once per post.
+const itemCache = new Map<number, Promise<FeedItem>>();
+
+function feedItems(posts: Post[], site: URL): Promise<FeedItem[]> {
+  return Promise.all(
+    posts.slice(0, FEED_LIMIT).map((post) => {
+      let item = itemCache.get(post.id);
+      if (!item) itemCache.set(post.id, (item = toFeedItem(post, site)));
+      return item;
+    })
+  );
+}
+
+interface FeedSource {
+  base: string;
+  title: string;
+  description: string;
+  posts: Post[];
+  language?: Locale;
+}
+
+async function buildFeed({ base, title, description, posts, language }: FeedSource, site: URL): Promise<Feed> {
+  const items = await feedItems(posts, site);
+  const updated = latest(items.map((item) => item.updated)) ?? new Date(0);
+  const languages = new Set(items.map((item) => item.language));
+  if (!language && languages.size === 1) [language] = languages;
+  return { title, description, home: new URL(base || '/', site).href, base, site, language, updated, items };
+}
+
+/**
+ * The site feed of `locale`, at `/rss.xml`, `/es/rss.xml`, ...: the insights written in that
+ * language only, so the declared language holds. The fallback copies other locales show are
+ * left out; each post is syndicated once, in its own language's feed.
+ */
+export async function getSiteFeed(site: URL, locale: Locale = DEFAULT_LOCALE): Promise<Feed> {
+  const info = await getSiteInfo();
+  const t = useTranslations(locale);
+  const posts = (await getInsights(locale)).filter((post) => getInsightLanguage(post) === locale);
+  return buildFeed(
+    {
+      base: localeHref(locale),
+      title: `${info.name} | ${t('nav.insights')}`,
+      description: info.description,
+      posts,
+      language: locale,
+    },
+    site
+  );
+}
+
+/** A category's insights as its archive lists them, each in its own language when they differ. */
+export async function getCategoryFeed(term: Term, site: URL): Promise<Feed> {
+  const info = await getSiteInfo();
+  const posts = postsForTerm(await getInsights(), term);
+  return buildFeed(
+    {
+      base: termHref(term),
+      title: `${info.name} | ${decodeEntities(term.name)}`,
+      description: term.description || info.description,
+      posts,
+    },
+    site
+  );
+}
+
+// Categories with at least one post, for the per-category feed endpoints.
+export async function categoryFeedPaths() {
+  const [categories, posts] = await Promise.all([getInsightCategories(), getInsights()]);
+  return categories
+    .filter((term) => postsForTerm(posts, term).length > 0)
+    .map((term) => ({ params: { slug: term.slug }, props: { term } }));
+}
+
+function cdata(value: string): string {
+  return `<![CDATA[${value.replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+function indent(lines: string[], depth: number): string {
+  return lines.map((line) => `${' '.repeat(depth)}${line}`).join('\n');
+}
+
+function renderRssItem(item: FeedItem): string {
+  const lines = [
+    `<title>${escapeXml(item.title)}</title>`,
+    `<link>${escapeXml(item.url)}</link>`,
+    `<guid isPermaLink="true">${escapeXml(item.url)}</guid>`,
+    `<pubDate>${item.published.toUTCString()}</pubDate>`,
+    ...(item.author ? [`<dc:creator>${escapeXml(item.author.name)}</dc:creator>`] : []),
+    ...item.categories.map((category) => `<category>${escapeXml(category)}</category>`),
+    `<description>${escapeXml(item.summary)}</description>`,
+    `<content:encoded>${cdata(item.contentHtml)}</content:encoded>`,
+  ];
+  if (item.image) {
+    const { url, length, type } = item.image;
+    lines.push(`<enclosure url="${escapeXml(url)}" length="${length}" type="${escapeXml(type)}"/>`);
+  }
+  return `    <item>\n${indent(lines, 6)}\n    </item>`;
+}
+
+function renderRss(feed: Feed): string {
+  const self = new URL(feedHref(feed.base, 'rss'), feed.site).href;
+  const channel = [
+    `<title>${escapeXml(feed.title)}</title>`,
+    `<link>${escapeXml(feed.home)}</link>`,
+    `<description>${escapeXml(feed.description)}</description>`,
+    ...(feed.language ? [`<language>${feed.language}</language>`] : []),
+    `<lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>`,
+    `<atom:link href="${escapeXml(self)}" rel="self" type="${FEED_TYPES.rss}"/>`,
+  ];
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" ' +
+      'xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    '  <channel>',
+    indent(channel, 4),
+    ...feed.items.map(renderRssItem),
+    '  </channel>',
+    '</rss>',
+    '',
+  ].join('\n');
+}
+
+function renderAtomEntry(item: FeedItem, feed: Feed): string {
+  const lines = [
+    `<id>${escapeXml(item.url)}</id>`,
+    `<title>${escapeXml(item.title)}</title>`,
+    `<link rel="alternate" type="text/html" href="${escapeXml(item.url)}"/>`,
+    `<published>${item.published.toISOString()}</published>`,
+    `<updated>${item.updated.toISOString()}</updated>`,
+  ];
+  if (item.author) {
+    const { name, url } = item.author;
+    lines.push(`<author><name>${escapeXml(name)}</name><uri>${escapeXml(url)}</uri></author>`);
+  }
+  lines.push(...item.categories.map((category) => `<category term="${escapeXml(category)}"/>`));
+  if (item.image) {
+    const { url, length, type } = item.image;
+    lines.push(`<link rel="enclosure" type="${escapeXml(type)}" length="${length}" href="${escapeXml(url)}"/>`);
+  }
+  lines.push(
+    `<summary>${escapeXml(item.summary)}</summary>`,
+    `<content type="html">${escapeXml(item.contentHtml)}</content>`
+  );
+  const lang = item.language === feed.language ? '' : ` xml:lang="${item.language}"`;
+  return `  <entry${lang}>\n${indent(lines, 4)}\n  </entry>`;
+}
+
+function renderAtom(feed: Feed): string {
+  const self = new URL(feedHref(feed.base, 'atom'), feed.site).href;
+  const head = [
+    `<id>${escapeXml(feed.home)}</id>`,
+    `<title>${escapeXml(feed.title)}</title>`,
+    `<subtitle>${escapeXml(feed.description)}</subtitle>`,
+    `<link rel="alternate" type="text/html" href="${escapeXml(feed.home)}"/>`,
+    `<link rel="self" type="${FEED_TYPES.atom}" href="${escapeXml(self)}"/>`,
+    `<updated>${feed.updated.toISOString()}</updated>`,
+  ];
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<feed xmlns="http://www.w3.org/2005/Atom"${feed.language ? ` xml:lang="${feed.language}"` : ''}>`,
+    indent(head, 2),
+    ...feed.items.map((item) => renderAtomEntry(item, feed)),
+    '</feed>',
+    '',
+  ].join('\n');
+}
+
+function renderJsonFeed(feed: Feed): string {
+  return JSON.stringify(
+    {
+      version: 'https://jsonfeed.org/version/1.1',
+      title: feed.title,
+      description: feed.description,
+      home_page_url: feed.home,
+      feed_url: new URL(feedHref(feed.base, 'json'), feed.site).href,
+      language: feed.language,
+      items: feed.items.map((item) => ({
+        id: item.url,
+        url: item.url,
+        language: item.language === feed.language ? undefined : item.language,
+        title: item.title,
+        summary: item.summary,
+        content_html: item.contentHtml,
+        image: item.image?.url,
+        date_published: item.published.toISOString(),
+        date_modified: item.updated.toISOString(),
+        authors: item.author ? [item.author] : undefined,
+        tags: item.categories.length ? item.categories : undefined,
+        attachments: item.image
+          ? [{ url: item.image.url, mime_type: item.image.type, size_in_bytes: item.image.length || undefined }]
+          : undefined,
+      })),
+    },
+    null,
+    2
+  );
+}
+
+const RENDERERS: Record<FeedFormat, (feed: Feed) => string> = {
+  rss: renderRss,
+  atom: renderAtom,
+  json: renderJsonFeed,
+};
+
+export function feedResponse(feed: Feed, format: FeedFormat): Response {
+  return new Response(RENDERERS[format](feed), {
+    headers: { 'Content-Type': `${FEED_TYPES[format]}; charset=utf-8` },
+  });
+}
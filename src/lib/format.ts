@@ -0,0 +1,72 @@
+import { getWpConfig, isTimeZone } from './config';
+import { getSiteInfo } from './wp';
+import { useTranslations, type Locale } from './i18n';
+import { relativeTime } from './relative-time';
+import type { ReadingStats } from './text';
+
+export interface Formatter {
+  locale: Locale;
+  /** IANA timezone every date is shown in. */
+  timeZone: string;
+  /** Numeric date, e.g. `12/03/2025` in Spanish. */
+  date(date: Date): string;
+  /** Date and time for tooltips, e.g. `12 mar 2025, 14:30`. */
+  dateTime(date: Date): string;
+  year(date: Date): string;
+  /** "3 days ago" as of the build; RelativeTimes.astro refreshes it in the browser. */
+  relative(date: Date, now?: Date): string;
+  number(value: number): string;
+  /** "5 min", "5 Min." */
+  minutes(count: number): string;
+  /** "1,234 words", "1.234 palabras" */
+  words(count: number): string;
+  /** "5 min / 1,234 words" */
+  readingTime(stats: ReadingStats): string;
+}
+
+/**
+ * Formats for one locale in one timezone. Dates must be real instants (see lib/dates.ts, which
+ * reads WordPress' `*_gmt` fields), so output doesn't depend on the build machine's timezone.
+ */
+export function createFormatter(locale: Locale, timeZone: string): Formatter {
+  const t = useTranslations(locale);
+  const numbers = new Intl.NumberFormat(locale);
+  const plurals = new Intl.PluralRules(locale);
+  const dates = new Intl.DateTimeFormat(locale, { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' });
+  const dateTimes = new Intl.DateTimeFormat(locale, { timeZone, dateStyle: 'medium', timeStyle: 'short' });
+  const years = new Intl.DateTimeFormat(locale, { timeZone, year: 'numeric' });
+  const minutes = new Intl.NumberFormat(locale, { style: 'unit', unit: 'minute', unitDisplay: 'short' });
+
+  const formatter: Formatter = {
+    locale,
+    timeZone,
+    date: (date) => dates.format(date),
+    dateTime: (date) => dateTimes.format(date),
+    year: (date) => years.format(date),
+    relative: (date, now) => relativeTime(date, locale, now),
+    number: (value) => numbers.format(value),
+    minutes: (count) => minutes.format(count),
+    words: (count) =>
+      t(plurals.select(count) === 'one' ? 'format.words_one' : 'format.words_other', { count: numbers.format(count) }),
+    readingTime: (stats) => `${formatter.minutes(stats.minutes)} / ${formatter.words(stats.words)}`,
+  };
+  return formatter;
+}
+
+// WP_TIMEZONE wins over the WordPress setting; UTC when neither names a zone Intl knows.
+async function siteTimeZone(): Promise<string> {
+  const candidates = [getWpConfig().timezone, (await getSiteInfo()).timezone];
+  return candidates.find((zone): zone is string => Boolean(zone && isTimeZone(zone))) ?? 'UTC';
+}
+
+const formatters = new Map<Locale, Promise<Formatter>>();
+
+/** The formatter for `locale` in the site's timezone, shared by every page of a build. */
+export function getFormatter(locale: Locale): Promise<Formatter> {
+  let formatter = formatters.get(locale);
+  if (!formatter) {
+    formatter = siteTimeZone().then((timeZone) => createFormatter(locale, timeZone));
+    formatters.set(locale, formatter);
+  }
+  return formatter;
+}
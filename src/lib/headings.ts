@@ -0,0 +1,50 @@
+import GithubSlugger from 'github-slugger';
+import { toText } from 'hast-util-to-text';
+import { SKIP, visit } from 'unist-util-visit';
+import type { Root } from 'hast';
+
+export interface Heading {
+  depth: number;
+  id: string;
+  text: string;
+}
+
+const HEADING_DEPTHS: Record<string, number> = { h2: 2, h3: 3, h4: 4 };
+
+// rehype-sanitize prefixes every id it lets through to keep content from clobbering page globals.
+const CLOBBER_PREFIX = 'user-content-';
+
+export interface HeadingAnchorOptions {
+  /** Filled with the document's headings, in order, for the table of contents. */
+  headings: Heading[];
+}
+
+/**
+ * Gives every h2–h4 a stable, de-duplicated slug id (GitHub style: "Setup", "Setup" →
+ * `setup`, `setup-1`) and appends a `#` anchor link for deep-linking.
+ * An id set in the WordPress editor is kept so existing in-page links still resolve.
+ */
+export function rehypeHeadingAnchors({ headings }: HeadingAnchorOptions) {
+  return (tree: Root) => {
+    const slugger = new GithubSlugger();
+
+    visit(tree, 'element', (node) => {
+      const depth = HEADING_DEPTHS[node.tagName];
+      if (!depth) return;
+      const text = toText(node).replace(/\s+/g, ' ').trim();
+      if (!text) return SKIP;
+
+      const authored = typeof node.properties.id === 'string' ? node.properties.id.replace(CLOBBER_PREFIX, '') : '';
+      const id = slugger.slug(authored || text);
+      node.properties.id = id;
+      node.children.push({
+        type: 'element',
+        tagName: 'a',
+        properties: { className: ['heading-anchor'], href: `#${id}`, ariaLabel: `Link to section: ${text}` },
+        children: [{ type: 'text', value: '#' }],
+      });
+      headings.push({ depth, id, text });
+      return SKIP;
+    });
+  };
+}
@@ -0,0 +1,160 @@
+import { bundledLanguages, getSingletonHighlighter, type ShikiTransformer } from 'shiki';
+import { visit } from 'unist-util-visit';
+import type { Element, ElementContent, Root } from 'hast';
+
+const THEME = 'github-dark-default';
+const PLAIN = 'text';
+
+/** Copy button text in the page's language; CodeBlocks.astro swaps in `copied` or `failed` after a click. */
+export interface CodeBlockLabels {
+  copy: string;
+  copied: string;
+  failed: string;
+  /** Accessible name of the button. */
+  copyLabel: string;
+}
+
+interface CodeBlockOptions {
+  lang: string;
+  filename?: string;
+  lineNumbers: boolean;
+  highlight: Set<number>;
+}
+
+function classList(node: Element): string[] {
+  return ([] as unknown[]).concat(node.properties.className ?? []).map(String);
+}
+
+function attr(node: Element, ...names: string[]): string | undefined {
+  for (const name of names) {
+    const value = node.properties[name];
+    if (value !== undefined && value !== null && value !== false) return String(value);
+  }
+  return undefined;
+}
+
+function textOf(node: ElementContent): string {
+  if (node.type === 'text') return node.value;
+  if (node.type === 'element') {
+    return node.tagName === 'br' ? '\n' : node.children.map(textOf).join('');
+  }
+  return '';
+}
+
+// "2,4-6" → {2, 4, 5, 6}, the Prism `data-line` syntax most WordPress code plugins use.
+function parseLineRanges(value: string | undefined): Set<number> {
+  const lines = new Set<number>();
+  for (const part of (value ?? '').split(',')) {
+    const [start, end = start] = part.trim().split('-').map(Number);
+    if (!Number.isInteger(start) || !Number.isInteger(end)) continue;
+    for (let line = start; line <= end && line - start < 1000; line++) lines.add(line);
+  }
+  return lines;
+}
+
+// Language from `language-*`/`lang-*` classes or `data-lang`/`data-language`/`lang` on the <code> or its <pre>.
+function detectOptions(pre: Element, code: Element): CodeBlockOptions {
+  let lang: string | undefined;
+  for (const node of [code, pre]) {
+    const fromClass = classList(node)
+      .map((name) => /^(?:language|lang)-(.+)$/.exec(name)?.[1])
+      .find(Boolean);
+    lang ??= fromClass ?? attr(node, 'dataLang', 'dataLanguage', 'lang');
+  }
+  lang = lang?.toLowerCase();
+
+  return {
+    lang: lang && lang in bundledLanguages ? lang : PLAIN,
+    filename: attr(pre, 'dataFilename', 'title') ?? attr(code, 'dataFilename', 'title'),
+    lineNumbers: [pre, code].some(
+      (node) => classList(node).includes('line-numbers') || 'dataLineNumbers' in node.properties
+    ),
+    highlight: parseLineRanges(attr(pre, 'dataLine') ?? attr(code, 'dataLine')),
+  };
+}
+
+function codeTransformer({ lineNumbers, highlight }: CodeBlockOptions): ShikiTransformer {
+  return {
+    pre(node) {
+      // Keep the theme's token colors but let the site's own panel background show through.
+      delete node.properties.style;
+      delete node.properties.tabindex;
+      if (lineNumbers) this.addClassToHast(node, 'line-numbers');
+    },
+    line(node, line) {
+      node.properties['data-line'] = line;
+      if (highlight.has(line)) this.addClassToHast(node, 'highlighted');
+    },
+  };
+}
+
+function span(className: string, text: string): Element {
+  return {
+    type: 'element',
+    tagName: 'span',
+    properties: { className: [className] },
+    children: [{ type: 'text', value: text }],
+  };
+}
+
+function highlighter(langs: string[]) {
+  return getSingletonHighlighter({ themes: [THEME], langs });
+}
+
+/**
+ * Highlights `<pre><code>` blocks at build time with Shiki and wraps each in a `<figure>`
+ * carrying a language label, optional filename caption and a copy button (see CodeBlocks.astro).
+ */
+export function rehypeHighlightCode(labels: CodeBlockLabels) {
+  return async (tree: Root) => {
+    const blocks: Array<{ pre: Element; index: number; parent: Element | Root; options: CodeBlockOptions }> = [];
+    visit(tree, 'element', (node, index, parent) => {
+      if (node.tagName !== 'pre' || !parent || index === undefined) return;
+      const code = node.children.find(
+        (child): child is Element => child.type === 'element' && child.tagName === 'code'
+      );
+      blocks.push({ pre: node, index, parent: parent as Element | Root, options: detectOptions(node, code ?? node) });
+    });
+    if (blocks.length === 0) return;
+
+    const shiki = await highlighter([...new Set(blocks.map(({ options }) => options.lang))]);
+
+    for (const { pre, index, parent, options } of blocks) {
+      const source = pre.children.map(textOf).join('').replace(/\n$/, '');
+      const highlighted = shiki.codeToHast(source, {
+        lang: options.lang,
+        theme: THEME,
+        transformers: [codeTransformer(options)],
+      });
+      const label = options.lang === PLAIN ? 'code' : options.lang;
+
+      const header: Element[] = [
+        ...(options.filename ? [span('code-filename', options.filename)] : []),
+        span('code-lang', label),
+        {
+          type: 'element',
+          tagName: 'button',
+          properties: {
+            type: 'button',
+            className: ['code-copy'],
+            ariaLabel: labels.copyLabel,
+            dataCopy: labels.copy,
+            dataCopied: labels.copied,
+            dataFailed: labels.failed,
+          },
+          children: [{ type: 'text', value: labels.copy }],
+        },
+      ];
+
+      parent.children[index] = {
+        type: 'element',
+        tagName: 'figure',
+        properties: { className: ['code-block'], dataLanguage: label },
+        children: [
+          { type: 'element', tagName: 'figcaption', properties: { className: ['code-header'] }, children: header },
+          ...(highlighted.children as ElementContent[]),
+        ],
+      };
+    }
+  };
+}
@@ -0,0 +1,269 @@
+import { rehype } from 'rehype';
+import rehypeSanitize, { defaultSchema, type Options as SanitizeSchema } from 'rehype-sanitize';
+import { SKIP, visit } from 'unist-util-visit';
+import type { Element, ElementContent, Root } from 'hast';
+import { getWpConfig } from './config';
+import { DEFAULT_LOCALE, useTranslations, type Locale } from './i18n';
+import { rehypeHeadingAnchors, type Heading } from './headings';
+import { rehypeHighlightCode } from './highlight';
+import { optimizeImage } from './media';
+import { getMediaByIds } from './wp';
+
+const CONTENT_IMAGE_SIZES = '(max-width: 800px) 100vw, 800px';
+
+// Language, line and filename hints read by the code highlighter.
+const CODE_ATTRIBUTES = [
+  ['className', /^(?:language|lang)-./, 'line-numbers'],
+  'dataLang',
+  'dataLanguage',
+  'dataLine',
+  'dataLineNumbers',
+  'dataFilename',
+] satisfies NonNullable<SanitizeSchema['attributes']>[string];
+
+// GitHub's allowlist plus the figure markup WordPress emits; no scripts, iframes, forms,
+// inline styles or event handlers. Classes survive only where a later step needs them.
+const CONTENT_SCHEMA: SanitizeSchema = {
+  ...defaultSchema,
+  tagNames: [
+    ...(defaultSchema.tagNames ?? []).filter((tag) => tag !== 'input'),
+    'figure',
+    'figcaption',
+    'mark',
+    'small',
+    'u',
+    'abbr',
+    'cite',
+    'caption',
+  ],
+  attributes: {
+    ...defaultSchema.attributes,
+    '*': [...(defaultSchema.attributes?.['*'] ?? []), ['className', /^wp-image-\d+$/, /^wp-block-code$/]],
+    a: [...(defaultSchema.attributes?.a ?? []), 'rel'],
+    pre: CODE_ATTRIBUTES,
+    code: CODE_ATTRIBUTES,
+  },
+};
+
+const INLINE_SCHEMA: SanitizeSchema = {
+  ...defaultSchema,
+  tagNames: ['b', 'strong', 'i', 'em', 'code', 'sub', 'sup', 'mark', 'small', 'br', 'span'],
+  attributes: {},
+};
+
+export type PermalinkMap = Map<string, string>;
+
+// Canonical form for permalink lookups: no query, hash or trailing slash.
+export function permalinkKey(url: string): string {
+  const parsed = new URL(url);
+  return `${parsed.origin}${parsed.pathname.replace(/\/+$/, '')}`.toLowerCase();
+}
+
+function toUrl(href: string, base: string): URL | null {
+  try {
+    return new URL(href, base);
+  } catch {
+    return null;
+  }
+}
+
+// Points WordPress permalinks at the static routes and marks links leaving the site.
+function rehypeRewriteLinks(options: { permalinks: PermalinkMap; wpOrigin: string }) {
+  const { permalinks, wpOrigin } = options;
+  const wpHost = new URL(wpOrigin).host;
+
+  return (tree: Root) => {
+    visit(tree, 'element', (node) => {
+      if (node.tagName !== 'a' || typeof node.properties.href !== 'string') return;
+      const url = toUrl(node.properties.href, wpOrigin);
+      if (!url || (url.protocol !== 'http:' && url.protocol !== 'https:')) return;
+
+      if (url.host === wpHost) {
+        const route = permalinks.get(permalinkKey(url.href));
+        if (route) node.properties.href = `${route}${url.hash}`;
+        return;
+      }
+
+      // hast parses `rel` into a token list; hast-util-to-html joins it again.
+      const { rel: current } = node.properties;
+      const tokens = Array.isArray(current) ? current.map(String) : String(current ?? '').split(/\s+/);
+      const rel = new Set(tokens.filter(Boolean));
+      rel.add('noopener');
+      node.properties.rel = [...rel];
+    });
+  };
+}
+
+function isBlank(node: ElementContent): boolean {
+  if (node.type === 'text') return node.value.replace(/\u00a0/g, ' ').trim() === '';
+  return node.type === 'element' && node.tagName === 'br';
+}
+
+// Drops `wp-*` classes, empty paragraphs and the attribute-less `<div>` wrappers block themes leave behind.
+function rehypeStripWordPress() {
+  return (tree: Root) => {
+    visit(tree, 'element', (node, index, parent) => {
+      if (Array.isArray(node.properties.className)) {
+        const classes = node.properties.className.filter((name) => !String(name).startsWith('wp-'));
+        if (classes.length) node.properties.className = classes;
+        else delete node.properties.className;
+      }
+      if (!parent || index === undefined) return;
+
+      if (node.tagName === 'p' && node.children.every(isBlank)) {
+        parent.children.splice(index, 1);
+        return [SKIP, index];
+      }
+      if (node.tagName === 'div' && Object.keys(node.properties).length === 0) {
+        parent.children.splice(index, 1, ...node.children);
+        return [SKIP, index];
+      }
+    });
+  };
+}
+
+function attachmentId(img: Element): number | null {
+  const classes = ([] as unknown[]).concat(img.properties.className ?? []);
+  for (const name of classes) {
+    const match = /^wp-image-(\d+)$/.exec(String(name));
+    if (match) return Number(match[1]);
+  }
+  return null;
+}
+
+// Swaps hot-linked `<img>` tags for `<picture>` elements pointing at locally optimized renditions.
+function rehypeOptimizeImages() {
+  return async (tree: Root) => {
+    const images: Array<{ node: Element; index: number; parent: Element | Root }> = [];
+    visit(tree, 'element', (node, index, parent) => {
+      if (node.tagName === 'img' && parent && index !== undefined && (parent as Element).tagName !== 'picture') {
+        images.push({ node, index, parent: parent as Element | Root });
+      }
+    });
+    if (images.length === 0) return;
+
+    const ids = images.map(({ node }) => attachmentId(node)).filter((id): id is number => id !== null);
+    const media = new Map((await getMediaByIds(ids)).map((item) => [item.id, item]));
+
+    await Promise.all(
+      images.map(async ({ node, index, parent }) => {
+        const src = String(node.properties.src ?? '');
+        if (!src) return;
+        const meta = media.get(attachmentId(node) ?? -1);
+        const alt = String(node.properties.alt || meta?.alt_text || '');
+        const optimized = await optimizeImage(src);
+
+        node.properties.alt = alt;
+        node.properties.loading = 'lazy';
+        node.properties.decoding = 'async';
+        if (!optimized) {
+          // Hot-linked fallback: at least reserve its space from the attachment metadata.
+          node.properties.width ??= meta?.media_details?.width;
+          node.properties.height ??= meta?.media_details?.height;
+          return;
+        }
+
+        // WordPress' own srcset points back at the remote uploads folder.
+        delete node.properties.srcSet;
+        delete node.properties.sizes;
+        Object.assign(node.properties, { src: optimized.src, width: optimized.width, height: optimized.height });
+
+        parent.children[index] = {
+          type: 'element',
+          tagName: 'picture',
+          properties: {},
+          children: [
+            ...optimized.sources.map((source): Element => ({
+              type: 'element',
+              tagName: 'source',
+              properties: { type: source.type, srcSet: source.srcset, sizes: CONTENT_IMAGE_SIZES },
+              children: [],
+            })),
+            node,
+          ],
+        };
+      })
+    );
+  };
+}
+
+export interface ContentOptions {
+  /** WordPress permalink (see `permalinkKey`) to local route. */
+  permalinks?: PermalinkMap;
+  /** UI locale of the page, for the few strings the pipeline adds (code copy buttons). */
+  locale?: Locale;
+}
+
+export interface RenderedContent {
+  html: string;
+  /** h2–h4 headings with their anchor ids, in document order. */
+  headings: Heading[];
+}
+
+/**
+ * Post-processes WordPress `content.rendered` HTML before it is injected into a page:
+ * allowlist sanitizing, permalink rewriting, image optimization, code highlighting,
+ * WordPress cleanup, then heading anchors.
+ */
+export async function renderContentHtml(html: string, options: ContentOptions = {}): Promise<RenderedContent> {
+  const headings: Heading[] = [];
+  const t = useTranslations(options.locale ?? DEFAULT_LOCALE);
+  const file = await rehype()
+    .data('settings', { fragment: true })
+    .use(rehypeSanitize, CONTENT_SCHEMA)
+    .use(rehypeRewriteLinks, { permalinks: options.permalinks ?? new Map(), wpOrigin: getWpConfig().url })
+    .use(rehypeOptimizeImages)
+    .use(rehypeHighlightCode, {
+      copy: t('reader.copy'),
+      copied: t('reader.copied'),
+      failed: t('reader.copy_failed'),
+      copyLabel: t('reader.copy_label'),
+    })
+    .use(rehypeStripWordPress)
+    .use(rehypeHeadingAnchors, { headings })
+    .process(html);
+  return { html: String(file), headings };
+}
+
+// Resolves relative links and images (e.g. rewritten permalinks) so the HTML works off-site.
+function rehypeAbsoluteUrls(options: { base: string }) {
+  return (tree: Root) => {
+    visit(tree, 'element', (node) => {
+      const attribute = node.tagName === 'a' ? 'href' : node.tagName === 'img' ? 'src' : null;
+      if (!attribute) return;
+      const value = node.properties[attribute];
+      const url = typeof value === 'string' ? toUrl(value, options.base) : null;
+      if (url) node.properties[attribute] = url.href;
+    });
+  };
+}
+
+export interface FeedContentOptions extends ContentOptions {
+  /** Public site origin that relative URLs resolve against. */
+  site: string;
+}
+
+/**
+ * Full post HTML for syndication feeds: sanitized and with permalinks rewritten as on the
+ * site, but with absolute URLs, the original images and none of the page-only enhancements.
+ */
+export async function renderFeedHtml(html: string, options: FeedContentOptions): Promise<string> {
+  const file = await rehype()
+    .data('settings', { fragment: true })
+    .use(rehypeSanitize, CONTENT_SCHEMA)
+    .use(rehypeRewriteLinks, { permalinks: options.permalinks ?? new Map(), wpOrigin: getWpConfig().url })
+    .use(rehypeStripWordPress)
+    .use(rehypeAbsoluteUrls, { base: options.site })
+    .process(html);
+  return String(file);
+}
+
+/** Sanitizes short WordPress HTML (titles with `inline`, excerpts without) synchronously. */
+export function sanitizeHtml(html: string, { inline = false } = {}): string {
+  const file = rehype()
+    .data('settings', { fragment: true })
+    .use(rehypeSanitize, inline ? INLINE_SCHEMA : CONTENT_SCHEMA)
+    .use(rehypeStripWordPress)
+    .processSync(html);
+  return String(file);
+}
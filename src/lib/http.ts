@@ -0,0 +1,121 @@
+export interface HttpClientOptions {
+  headers?: HeadersInit;
+  timeoutMs: number;
+  /** Total attempts per request, including the first. */
+  retries: number;
+  /** Maximum requests in flight at once. */
+  concurrency: number;
+  baseDelayMs?: number;
+  maxDelayMs?: number;
+}
+
+export interface JsonResponse<T> {
+  data: T;
+  status: number;
+  headers: Headers;
+}
+
+export class HttpError extends Error {
+  constructor(
+    public readonly url: string,
+    public readonly status: number,
+    public readonly retryAfterMs?: number
+  ) {
+    super(`HTTP ${status} for ${url}`);
+    this.name = 'HttpError';
+  }
+}
+
+// 408 and 429 are the only client errors worth repeating; every 5xx may be transient.
+export function isRetryableStatus(status: number): boolean {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+// `Retry-After` is either delta-seconds or an HTTP date.
+function parseRetryAfter(value: string | null): number | undefined {
+  if (!value) return undefined;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+}
+
+const sleep = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function createLimiter(concurrency: number) {
+  let active = 0;
+  const queue: Array<() => void> = [];
+
+  return async function limit<T>(task: () => Promise<T>): Promise<T> {
+    // A woken waiter inherits the finishing task's slot, so `active` never drops in between.
+    if (active >= concurrency) {
+      await new Promise<void>((resolve) => queue.push(resolve));
+    } else {
+      active++;
+    }
+    try {
+      return await task();
+    } finally {
+      const next = queue.shift();
+      if (next) next();
+      else active--;
+    }
+  };
+}
+
+/**
+ * JSON GET client shared by a whole build: identical URLs are fetched once (in-flight
+ * and completed responses are memoized), at most `concurrency` requests run at a time,
+ * and failures are retried by status class with jittered exponential backoff.
+ */
+export function createHttpClient(options: HttpClientOptions) {
+  const { headers, timeoutMs, retries, baseDelayMs = 500, maxDelayMs = 30000 } = options;
+  const limit = createLimiter(options.concurrency);
+  const memo = new Map<string, Promise<JsonResponse<unknown>>>();
+  const stats = { requests: 0, memoHits: 0 };
+
+  function backoff(attempt: number, retryAfterMs?: number): number {
+    if (retryAfterMs !== undefined) return Math.min(retryAfterMs, maxDelayMs);
+    const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+    return ceiling / 2 + Math.random() * (ceiling / 2);
+  }
+
+  async function request<T>(url: string): Promise<JsonResponse<T>> {
+    for (let attempt = 0; ; attempt++) {
+      const isLast = attempt === retries - 1;
+      try {
+        stats.requests++;
+        return await limit(async () => {
+          const res = await fetch(url, { headers, signal: AbortSignal.timeout(timeoutMs) });
+          if (!res.ok) {
+            await res.body?.cancel();
+            throw new HttpError(url, res.status, parseRetryAfter(res.headers.get('Retry-After')));
+          }
+          return { data: (await res.json()) as T, status: res.status, headers: res.headers };
+        });
+      } catch (e) {
+        // A body that is not JSON (e.g. an HTML error page served as 200) will not improve on retry.
+        const retryable = e instanceof HttpError ? isRetryableStatus(e.status) : !(e instanceof SyntaxError);
+        if (!retryable || isLast) throw e;
+        await sleep(backoff(attempt, e instanceof HttpError ? e.retryAfterMs : undefined));
+      }
+    }
+  }
+
+  function getJson<T>(url: string): Promise<JsonResponse<T>> {
+    const cached = memo.get(url);
+    if (cached) {
+      stats.memoHits++;
+      return cached as Promise<JsonResponse<T>>;
+    }
+    const pending = request<T>(url);
+    memo.set(url, pending);
+    // Failures are not memoized so a later caller may try again.
+    pending.catch(() => memo.delete(url));
+    return pending;
+  }
+
+  return { getJson, stats };
+}
+
+export type HttpClient = ReturnType<typeof createHttpClient>;
@@ -0,0 +1,145 @@
+import en from '../i18n/en.json';
+import es from '../i18n/es.json';
+import fr from '../i18n/fr.json';
+import de from '../i18n/de.json';
+import pt from '../i18n/pt.json';
+
+export const LOCALES = ['en', 'es', 'fr', 'de', 'pt'] as const;
+export type Locale = (typeof LOCALES)[number];
+
+// Served without a prefix; every other locale lives under `/<locale>/`.
+export const DEFAULT_LOCALE: Locale = 'en';
+
+// Native names, as the legacy site's language selector showed them.
+export const LANGUAGE_NAMES: Record<Locale, string> = {
+  en: 'English',
+  es: 'Español',
+  fr: 'Français',
+  de: 'Deutsch',
+  pt: 'Português',
+};
+
+export const OG_LOCALES: Record<Locale, string> = {
+  en: 'en_US',
+  es: 'es_ES',
+  fr: 'fr_FR',
+  de: 'de_DE',
+  pt: 'pt_PT',
+};
+
+// localStorage key shared with the legacy site, so a language chosen there still applies.
+export const LANGUAGE_STORAGE_KEY = 'endev_language';
+
+export function isLocale(value: unknown): value is Locale {
+  return (LOCALES as readonly unknown[]).includes(value);
+}
+
+/** Narrows `Astro.currentLocale` (a plain string) to a Locale. */
+export function getLocale(value: string | undefined): Locale {
+  return isLocale(value) ? value : DEFAULT_LOCALE;
+}
+
+type Dictionary = { [key: string]: string | Dictionary };
+
+// Dot paths of every string in the English dictionary, e.g. `nav.search`.
+type Leaves<T, Prefix extends string = ''> = {
+  [K in keyof T & string]: T[K] extends string ? `${Prefix}${K}` : Leaves<T[K], `${Prefix}${K}.`>;
+}[keyof T & string];
+
+export type TranslationKey = Leaves<typeof en>;
+
+function flatten(dictionary: Dictionary, prefix = '', into = new Map<string, string>()): Map<string, string> {
+  for (const [key, value] of Object.entries(dictionary)) {
+    if (typeof value === 'string') into.set(`${prefix}${key}`, value);
+    else flatten(value, `${prefix}${key}.`, into);
+  }
+  return into;
+}
+
+const DICTIONARIES: Record<Locale, Map<string, string>> = {
+  en: flatten(en),
+  es: flatten(es),
+  fr: flatten(fr),
+  de: flatten(de),
+  pt: flatten(pt),
+};
+
+/**
+ * Returns `t(key, params)` for a locale. Keys missing from its dictionary fall back to
+ * English, and `{name}` placeholders are replaced from `params`.
+ */
+export function useTranslations(locale: Locale) {
+  return function t(key: TranslationKey, params: Record<string, string | number> = {}): string {
+    const message = DICTIONARIES[locale].get(key) ?? DICTIONARIES[DEFAULT_LOCALE].get(key) ?? key;
+    return message.replace(/\{(\w+)\}/g, (placeholder, name: string) =>
+      name in params ? String(params[name]) : placeholder
+    );
+  };
+}
+
+/** Root-relative path of `path` (an unprefixed route) in `locale`. */
+export function localeHref(locale: Locale, path = '/'): string {
+  if (locale === DEFAULT_LOCALE) return path;
+  return path === '/' ? `/${locale}` : `/${locale}${path}`;
+}
+
+// Unprefixed routes that exist in every locale; the rest are only built in the default one.
+const LOCALIZED_ROUTES = [/^\/$/, /^\/insights$/, /^\/insights\/page\/\d+$/];
+
+function stripLocale(pathname: string): string {
+  const [, first, ...rest] = pathname.replace(/\/$/, '').split('/');
+  if (isLocale(first) && first !== DEFAULT_LOCALE) return `/${rest.join('/')}`;
+  return pathname.replace(/(.)\/$/, '$1') || '/';
+}
+
+/**
+ * Where the language switcher sends each locale from `pathname`: the same page when it is
+ * localized, otherwise that locale's home.
+ */
+export function localizedPaths(pathname: string): Record<Locale, string> {
+  const path = stripLocale(pathname);
+  const target = LOCALIZED_ROUTES.some((route) => route.test(path)) ? path : '/';
+  return Object.fromEntries(LOCALES.map((locale) => [locale, localeHref(locale, target)])) as Record<Locale, string>;
+}
+
+export interface LanguageAlternate {
+  hreflang: string;
+  href: string;
+}
+
+/** `<link rel="alternate" hreflang>` entries for a page's versions; `x-default` is the default locale's. */
+export function hreflangAlternates(paths: Partial<Record<Locale, string>>): LanguageAlternate[] {
+  const alternates = LOCALES.flatMap((locale) => {
+    const href = paths[locale];
+    return href ? [{ hreflang: locale, href }] : [];
+  });
+  const fallback = paths[DEFAULT_LOCALE];
+  return fallback ? [...alternates, { hreflang: 'x-default', href: fallback }] : alternates;
+}
+
+// getStaticPaths() entries for the prefixed copies of a localized route.
+export function localePaths() {
+  return LOCALES.filter((locale) => locale !== DEFAULT_LOCALE).map((lang) => ({ params: { lang } }));
+}
+
+/**
+ * Compares every dictionary with the English one and prints the keys each locale is missing
+ * (shown in English until translated) or has in excess (typos, or keys English dropped).
+ */
+export function reportTranslationGaps() {
+  const reference = DICTIONARIES[DEFAULT_LOCALE];
+  for (const locale of LOCALES) {
+    if (locale === DEFAULT_LOCALE) continue;
+    const dictionary = DICTIONARIES[locale];
+    const missing = [...reference.keys()].filter((key) => !dictionary.has(key));
+    const extra = [...dictionary.keys()].filter((key) => !reference.has(key));
+    if (!missing.length && !extra.length) continue;
+    console.warn(
+      [
+        `[i18n:${locale}] ${missing.length} missing and ${extra.length} unknown key(s) in src/i18n/${locale}.json:`,
+        ...missing.map((key) => `  - missing ${key} (falls back to English)`),
+        ...extra.map((key) => `  - unknown ${key}`),
+      ].join('\n')
+    );
+  }
+}
@@ -0,0 +1,49 @@
+import { getImage } from 'astro:assets';
+
+const RESPONSIVE_WIDTHS = [480, 800, 1200, 1600];
+const FORMATS = ['avif', 'webp'] as const;
+
+export interface OptimizedImage {
+  /** Fallback for browsers without `<picture>` support: the largest WebP rendition. */
+  src: string;
+  width: number;
+  height: number;
+  sources: Array<{ type: string; srcset: string }>;
+}
+
+async function processImage(src: string): Promise<OptimizedImage | null> {
+  try {
+    // Always infer: it fetches the image now, so an unreachable host fails here (and falls back)
+    // rather than in Astro's deferred transform step, which would abort the whole build.
+    const fallback = await getImage({ src, inferSize: true, format: 'webp' });
+    const intrinsicWidth = Number(fallback.attributes.width ?? fallback.options.width);
+    const intrinsicHeight = Number(fallback.attributes.height ?? fallback.options.height);
+    const widths = [...RESPONSIVE_WIDTHS.filter((w) => w < intrinsicWidth), intrinsicWidth];
+
+    const sources = await Promise.all(
+      FORMATS.map(async (format) => {
+        const image = await getImage({ src, width: intrinsicWidth, height: intrinsicHeight, widths, format });
+        return { type: `image/${format}`, srcset: image.srcSet.attribute };
+      })
+    );
+
+    return { src: fallback.src, width: intrinsicWidth, height: intrinsicHeight, sources };
+  } catch (e) {
+    console.warn(`Image optimization failed for ${src}; keeping the remote URL: ${e instanceof Error ? e.message : e}`);
+    return null;
+  }
+}
+
+// The same upload can appear on several pages and in the sitemap; process (and warn about) it once.
+const processed = new Map<string, Promise<OptimizedImage | null>>();
+
+/**
+ * Downloads a remote image at build time and renders AVIF/WebP renditions at several widths.
+ * Returns null when the image can't be fetched or processed, so callers can fall back to the
+ * original URL instead of failing the build.
+ */
+export function optimizeImage(src: string): Promise<OptimizedImage | null> {
+  let image = processed.get(src);
+  if (!image) processed.set(src, (image = processImage(src)));
+  return image;
+}
@@ -0,0 +1,133 @@
+import { resolve } from 'node:path';
+import sharp from 'sharp';
+import { escapeXml } from './text';
+import { DEFAULT_LOCALE, type Locale } from './i18n';
+
+export const OG_IMAGE_WIDTH = 1200;
+export const OG_IMAGE_HEIGHT = 630;
+
+export const HOME_OG_IMAGE = '/og/home.png';
+
+// Translations may share a slug, so other languages get a suffix: `/og/insights/<slug>.es.png`.
+export function insightOgImageName(slug: string, language: Locale = DEFAULT_LOCALE): string {
+  return language === DEFAULT_LOCALE ? slug : `${slug}.${language}`;
+}
+
+export function insightOgImage(slug: string, language: Locale = DEFAULT_LOCALE): string {
+  return `/og/insights/${insightOgImageName(slug, language)}.png`;
+}
+
+// Palette and grid of index.css. Fonts are generic families so rendering needs nothing
+// beyond the system fonts librsvg finds; Inter/Space Mono are used when installed.
+const COLORS = {
+  background: '#030303',
+  cyan: '#00f2ff',
+  text: '#ffffff',
+  muted: '#606060',
+  grid: 'rgba(255, 255, 255, 0.06)',
+};
+const SANS = "Inter, 'DejaVu Sans', Arial, sans-serif";
+const MONO = "'Space Mono', 'DejaVu Sans Mono', monospace";
+const GRID_SIZE = 50;
+
+// The legacy site's logo, composited by sharp so rendering needs no network.
+const LOGO_PATH = resolve(process.cwd(), 'src/assets/logo.png');
+const LOGO_HEIGHT = 56;
+
+const PADDING = 80;
+const TITLE_WIDTH = OG_IMAGE_WIDTH - PADDING * 2;
+const TITLE_MAX_LINES = 4;
+// Rough advance of a bold sans glyph relative to the font size; good enough to wrap lines.
+const CHAR_WIDTH = 0.6;
+
+export interface OgImageContent {
+  /** Small mono line above the title, e.g. `NODE_42 // 12/03/2025`. */
+  eyebrow: string;
+  title: string;
+  /** Bottom-right caption, e.g. the site's host. */
+  caption: string;
+}
+
+function wrap(text: string, fontSize: number): string[] {
+  const maxChars = Math.floor(TITLE_WIDTH / (fontSize * CHAR_WIDTH));
+  const lines: string[] = [];
+  let line = '';
+  for (const word of text.split(/\s+/)) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (candidate.length <= maxChars || !line) line = candidate;
+    else {
+      lines.push(line);
+      line = word;
+    }
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+// Largest size at which the title fits; the smallest size truncates with an ellipsis instead.
+function layoutTitle(title: string): { fontSize: number; lines: string[] } {
+  for (const fontSize of [72, 60, 52]) {
+    const lines = wrap(title, fontSize);
+    if (lines.length <= TITLE_MAX_LINES) return { fontSize, lines };
+  }
+  const lines = wrap(title, 52).slice(0, TITLE_MAX_LINES);
+  lines[lines.length - 1] = `${lines[lines.length - 1].replace(/[\s.,;:]+$/, '')}…`;
+  return { fontSize: 52, lines };
+}
+
+function renderSvg({ eyebrow, title, caption }: OgImageContent): string {
+  const { fontSize, lines } = layoutTitle(title);
+  const lineHeight = Math.round(fontSize * 1.15);
+  const titleTop = 250 - ((lines.length - 1) * lineHeight) / 2;
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${OG_IMAGE_WIDTH}" height="${OG_IMAGE_HEIGHT}">
+  <defs>
+    <pattern id="grid" width="${GRID_SIZE}" height="${GRID_SIZE}" patternUnits="userSpaceOnUse">
+      <path d="M ${GRID_SIZE} 0 L 0 0 0 ${GRID_SIZE}" fill="none" stroke="${COLORS.grid}" stroke-width="1"/>
+    </pattern>
+    <radialGradient id="glow" cx="85%" cy="0%" r="70%">
+      <stop offset="0%" stop-color="${COLORS.cyan}" stop-opacity="0.18"/>
+      <stop offset="100%" stop-color="${COLORS.cyan}" stop-opacity="0"/>
+    </radialGradient>
+  </defs>
+  <rect width="100%" height="100%" fill="${COLORS.background}"/>
+  <rect width="100%" height="100%" fill="url(#grid)"/>
+  <rect width="100%" height="100%" fill="url(#glow)"/>
+  <rect x="0" y="0" width="8" height="100%" fill="${COLORS.cyan}"/>
+
+  <text x="${PADDING}" y="${PADDING + 20}" font-family="${MONO}" font-size="24" letter-spacing="2.4" fill="${COLORS.cyan}">${escapeXml(eyebrow)}</text>
+
+  <text font-family="${SANS}" font-weight="700" font-size="${fontSize}" letter-spacing="${-fontSize * 0.02}" fill="${COLORS.text}">
+${lines
+  .map((line, i) => `    <tspan x="${PADDING}" y="${titleTop + i * lineHeight + fontSize}">${escapeXml(line)}</tspan>`)
+  .join('\n')}
+  </text>
+
+  <line x1="${PADDING}" y1="${OG_IMAGE_HEIGHT - 130}" x2="${OG_IMAGE_WIDTH - PADDING}" y2="${OG_IMAGE_HEIGHT - 130}" stroke="rgba(255, 255, 255, 0.1)"/>
+  <text x="${OG_IMAGE_WIDTH - PADDING}" y="${OG_IMAGE_HEIGHT - 70}" text-anchor="end" font-family="${MONO}" font-size="22" letter-spacing="2.2" fill="${COLORS.muted}">${escapeXml(caption)}</text>
+</svg>`;
+}
+
+let logo: Promise<Buffer> | null = null;
+
+// Scaled once per build and shared by every card.
+function loadLogo(): Promise<Buffer> {
+  logo ??= sharp(LOGO_PATH).resize({ height: LOGO_HEIGHT }).png().toBuffer();
+  return logo;
+}
+
+/**
+ * Renders a 1200×630 share card in the site's cyan-on-black grid style, with the logo in the
+ * bottom-left corner. It is drawn from an SVG with sharp, so it needs neither network access
+ * nor a headless browser.
+ */
+export async function renderOgImage(content: OgImageContent): Promise<Buffer> {
+  return sharp(Buffer.from(renderSvg(content)))
+    .composite([{ input: await loadLogo(), left: PADDING, top: OG_IMAGE_HEIGHT - 78 - LOGO_HEIGHT / 2 }])
+    .png({ compressionLevel: 9 })
+    .toBuffer();
+}
+
+export function pngResponse(png: Buffer): Response {
+  return new Response(new Uint8Array(png), { headers: { 'Content-Type': 'image/png' } });
+}
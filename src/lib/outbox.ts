@@ -0,0 +1,187 @@
+// Client-safe: contact messages are kept in IndexedDB until their transport confirms them, so a
+// dropped connection delays a message instead of losing it.
+import type { ContactMessage } from './contact';
+import { TransportError, type ContactTransport, type DeliveryMeta } from './contact-transports';
+
+export interface OutboxEntry {
+  /** Idempotency key, sent along with every attempt so receivers can drop repeats. */
+  id: string;
+  message: ContactMessage;
+  meta: DeliveryMeta;
+  createdAt: number;
+  attempts: number;
+  nextAttemptAt: number;
+  lastError?: string;
+}
+
+export type DeliveryState = 'sent' | 'queued' | 'failed';
+
+export interface OutboxEvents {
+  /** An entry was delivered, possibly on a retry long after it was submitted. */
+  onSent?(entry: OutboxEntry): void;
+  /** An entry was dropped: its transport refused it for good, or it expired. */
+  onFailed?(entry: OutboxEntry, error: unknown): void;
+}
+
+const DB_NAME = 'endev-contact';
+const STORE = 'outbox';
+
+const BASE_DELAY_MS = 15 * 1000;
+const MAX_DELAY_MS = 15 * 60 * 1000;
+// Past this, the visitor has likely written again or moved on.
+const MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+function request<T>(req: IDBRequest<T>): Promise<T> {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+let db: Promise<IDBDatabase> | null = null;
+
+function openDb(): Promise<IDBDatabase> {
+  db ??= new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(STORE, { keyPath: 'id' });
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+  db.catch(() => (db = null));
+  return db;
+}
+
+async function store(mode: IDBTransactionMode): Promise<IDBObjectStore> {
+  return (await openDb()).transaction(STORE, mode).objectStore(STORE);
+}
+
+// Same jittered exponential backoff as the build's HTTP client, on a slower scale.
+function retryDelay(attempts: number): number {
+  const ceiling = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** (attempts - 1));
+  return ceiling / 2 + Math.random() * (ceiling / 2);
+}
+
+// A request that may have arrived is only sent again when the receiver can drop the repeat.
+function isRetryable(error: unknown, transport: ContactTransport): boolean {
+  if (!(error instanceof TransportError) || !error.retryable) return false;
+  return !error.maybeDelivered || transport.dedupes;
+}
+
+/**
+ * Runs `task` unless another tab is already sending the same entry; Web Locks make sure only
+ * one of them does. Browsers without them fall back to running it.
+ */
+async function exclusive<T>(id: string, task: () => Promise<T>): Promise<T | undefined> {
+  if (!('locks' in navigator)) return task();
+  return navigator.locks.request(`${DB_NAME}:${id}`, { ifAvailable: true }, (lock) =>
+    lock ? task() : undefined
+  );
+}
+
+/**
+ * Outbox for a delivering transport: submit() stores a message and sends it right away, and
+ * whatever fails with a retryable error is sent again with backoff, immediately when the
+ * browser comes back online, and on the next page load. Entries are deleted once delivered.
+ * A network error while online is only retried on transports that dedupe, since the first
+ * attempt may have arrived; elsewhere it fails, and the visitor gets the mailto fallback.
+ */
+export function createOutbox(transport: ContactTransport, events: OutboxEvents = {}) {
+  let timer: ReturnType<typeof setTimeout> | undefined;
+  let flushing: Promise<void> | null = null;
+
+  async function attempt(id: string): Promise<DeliveryState> {
+    const state = await exclusive(id, async (): Promise<DeliveryState> => {
+      // Re-read under the lock: another tab may have delivered it meanwhile.
+      const entry = (await request((await store('readonly')).get(id))) as OutboxEntry | undefined;
+      if (!entry) return 'sent';
+      try {
+        await transport.send(entry.message, { ...entry.meta, idempotencyKey: entry.id });
+      } catch (e) {
+        const attempts = entry.attempts + 1;
+        if (isRetryable(e, transport) && Date.now() - entry.createdAt < MAX_AGE_MS) {
+          const lastError = e instanceof Error ? e.message : String(e);
+          const nextAttemptAt = Date.now() + retryDelay(attempts);
+          await request((await store('readwrite')).put({ ...entry, attempts, nextAttemptAt, lastError }));
+          return 'queued';
+        }
+        await request((await store('readwrite')).delete(id));
+        events.onFailed?.(entry, e);
+        return 'failed';
+      }
+      await request((await store('readwrite')).delete(id));
+      events.onSent?.(entry);
+      return 'sent';
+    });
+    // Locked by another tab, which will report the outcome there.
+    return state ?? 'queued';
+  }
+
+  async function pending(): Promise<OutboxEntry[]> {
+    return (await request((await store('readonly')).getAll())) as OutboxEntry[];
+  }
+
+  function schedule(entries: OutboxEntry[]) {
+    clearTimeout(timer);
+    if (!entries.length) return;
+    const next = Math.min(...entries.map((entry) => entry.nextAttemptAt));
+    timer = setTimeout(() => flush(), Math.max(0, next - Date.now()));
+  }
+
+  /** Sends every entry that is due, or all of them with `force` (e.g. back online). */
+  function flush(force = false): Promise<void> {
+    // A forced flush can't join one that may be skipping entries; it runs after it.
+    if (flushing) return force ? flushing.then(() => flush(true)) : flushing;
+    flushing = (async () => {
+      try {
+        for (const entry of await pending()) {
+          if (force || entry.nextAttemptAt <= Date.now()) await attempt(entry.id);
+        }
+        schedule(await pending());
+      } catch (e) {
+        // IndexedDB unavailable; submit() sends directly in that case.
+        console.error('Contact outbox flush failed:', e);
+      } finally {
+        flushing = null;
+      }
+    })();
+    return flushing;
+  }
+
+  /** Stores `message` and tries to deliver it now; `queued` means it will be retried. */
+  async function submit(message: ContactMessage, meta: DeliveryMeta = {}): Promise<DeliveryState> {
+    const now = Date.now();
+    const entry: OutboxEntry = {
+      id: crypto.randomUUID(),
+      message,
+      meta,
+      createdAt: now,
+      attempts: 0,
+      nextAttemptAt: now,
+    };
+    try {
+      await request((await store('readwrite')).add(entry));
+    } catch {
+      // Private browsing can block IndexedDB; send once, without the safety net.
+      try {
+        await transport.send(message, { ...meta, idempotencyKey: entry.id });
+      } catch (e) {
+        events.onFailed?.(entry, e);
+        return 'failed';
+      }
+      events.onSent?.(entry);
+      return 'sent';
+    }
+    const state = await attempt(entry.id);
+    if (state === 'queued') schedule(await pending());
+    return state;
+  }
+
+  function start() {
+    window.addEventListener('online', () => flush(true));
+    return flush();
+  }
+
+  return { submit, flush, pending, start };
+}
+
+export type Outbox = ReturnType<typeof createOutbox>;
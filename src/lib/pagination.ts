@@ -0,0 +1,37 @@
+export const INSIGHTS_PER_PAGE = 9;
+
+export interface PageSlice<T> {
+  items: T[];
+  current: number;
+  last: number;
+  total: number;
+}
+
+export function paginate<T>(items: T[], page: number, pageSize = INSIGHTS_PER_PAGE): PageSlice<T> {
+  const last = Math.max(1, Math.ceil(items.length / pageSize));
+  const current = Math.min(Math.max(1, page), last);
+  return {
+    items: items.slice((current - 1) * pageSize, current * pageSize),
+    current,
+    last,
+    total: items.length,
+  };
+}
+
+// Page 1 lives at the archive root; the rest under `${base}/page/n`.
+export function pageHref(base: string, page: number): string {
+  return page <= 1 ? base : `${base}/page/${page}`;
+}
+
+// Slices for a `[...page].astro` rest route: page 1 at the root (undefined param), the rest under `page/n`.
+export function restPageSlices<T>(items: T[], pageSize = INSIGHTS_PER_PAGE) {
+  const { last } = paginate(items, 1, pageSize);
+  return Array.from({ length: last }, (_, i) => ({
+    param: i === 0 ? undefined : `page/${i + 1}`,
+    page: paginate(items, i + 1, pageSize),
+  }));
+}
+
+export function pageNumbers(last: number): number[] {
+  return Array.from({ length: last }, (_, i) => i + 1);
+}
@@ -0,0 +1,84 @@
+import type { Post } from './wp';
+import { htmlToText } from './text';
+
+export const RELATED_LIMIT = 3;
+
+// A shared tag says more about a post's topic than a shared (broader) category.
+const TAG_WEIGHT = 2;
+const CATEGORY_WEIGHT = 1;
+
+// Words shorter than this are mostly articles and prepositions, in English and Spanish alike.
+const MIN_WORD_LENGTH = 4;
+
+export interface AdjacentPosts {
+  /** The next older post. */
+  previous?: Post;
+  /** The next newer post. */
+  next?: Post;
+}
+
+// `posts` must be newest first, as returned by getInsights().
+export function getAdjacentPosts(posts: Post[], post: Post): AdjacentPosts {
+  const index = posts.findIndex((candidate) => candidate.id === post.id);
+  if (index === -1) return {};
+  return { previous: posts[index + 1], next: posts[index - 1] };
+}
+
+function sharedTermScore(a: Post, b: Post): number {
+  const shared = (x: number[], y: number[]) => x.filter((id) => y.includes(id)).length;
+  return shared(a.tags, b.tags) * TAG_WEIGHT + shared(a.categories, b.categories) * CATEGORY_WEIGHT;
+}
+
+interface TextVector {
+  counts: Map<string, number>;
+  norm: number;
+}
+
+const vectors = new WeakMap<Post, TextVector>();
+
+function textVector(post: Post): TextVector {
+  let vector = vectors.get(post);
+  if (!vector) {
+    const counts = new Map<string, number>();
+    const text = htmlToText(`${post.title.rendered} ${post.content.rendered}`).toLowerCase();
+    for (const word of text.split(/[^\p{L}\p{N}]+/u)) {
+      if (word.length >= MIN_WORD_LENGTH) counts.set(word, (counts.get(word) ?? 0) + 1);
+    }
+    const norm = Math.sqrt([...counts.values()].reduce((sum, count) => sum + count * count, 0));
+    vector = { counts, norm };
+    vectors.set(post, vector);
+  }
+  return vector;
+}
+
+// Cosine similarity of word counts, 0 (nothing in common) to 1.
+function textSimilarity(a: Post, b: Post): number {
+  const x = textVector(a);
+  const y = textVector(b);
+  if (x.norm === 0 || y.norm === 0) return 0;
+  let dot = 0;
+  for (const [word, count] of x.counts) dot += count * (y.counts.get(word) ?? 0);
+  return dot / (x.norm * y.norm);
+}
+
+/**
+ * Posts ranked by shared tags and categories; text similarity breaks ties and ranks
+ * posts without any shared term, and recency settles the rest.
+ */
+export function getRelatedPosts(posts: Post[], post: Post, limit = RELATED_LIMIT): Post[] {
+  return posts
+    .filter((candidate) => candidate.id !== post.id)
+    .map((candidate) => ({
+      candidate,
+      shared: sharedTermScore(post, candidate),
+      similarity: textSimilarity(post, candidate),
+    }))
+    .sort(
+      (a, b) =>
+        b.shared - a.shared ||
+        b.similarity - a.similarity ||
+        b.candidate.date.localeCompare(a.candidate.date)
+    )
+    .slice(0, limit)
+    .map(({ candidate }) => candidate);
+}
@@ -0,0 +1,19 @@
+// Client-safe: also imported by RelativeTimes.astro to refresh build-time text in the browser.
+
+const UNITS: Array<[Intl.RelativeTimeFormatUnit, number]> = [
+  ['year', 365 * 24 * 60 * 60],
+  ['month', 30 * 24 * 60 * 60],
+  ['week', 7 * 24 * 60 * 60],
+  ['day', 24 * 60 * 60],
+  ['hour', 60 * 60],
+  ['minute', 60],
+  ['second', 1],
+];
+
+/** "3 days ago", "yesterday", "in 2 hours": the largest whole unit between `date` and `now`. */
+export function relativeTime(date: Date, locale: string, now = new Date()): string {
+  const seconds = (date.getTime() - now.getTime()) / 1000;
+  const [unit, size] = UNITS.find(([, size]) => Math.abs(seconds) >= size) ?? UNITS[UNITS.length - 1];
+  // Truncated, so 59.9 minutes still reads "59 minutes ago" rather than "60 minutes ago".
+  return new Intl.RelativeTimeFormat(locale, { numeric: 'auto' }).format(Math.trunc(seconds / size), unit);
+}
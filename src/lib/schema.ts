@@ -0,0 +1,182 @@
+import { z } from 'astro/zod';
+
+// Objects stay loose: fields we don't model (plugins, future templates) pass through untouched.
+const rendered = z.object({ rendered: z.string() }).loose();
+
+export const authorSchema = z
+  .object({
+    id: z.number().int(),
+    name: z.string(),
+    slug: z.string().min(1),
+    link: z.string().optional(),
+    description: z.string().optional(),
+    avatar_urls: z.record(z.string(), z.string()).optional(),
+  })
+  .loose();
+
+export const termSchema = z
+  .object({
+    id: z.number().int(),
+    name: z.string(),
+    slug: z.string().min(1),
+    link: z.string().optional(),
+    description: z.string().default(''),
+    count: z.number().int().default(0),
+    taxonomy: z.enum(['category', 'post_tag']),
+  })
+  .loose();
+
+const termRefSchema = z
+  .object({
+    id: z.number().int(),
+    name: z.string(),
+    slug: z.string().min(1),
+    taxonomy: z.string(),
+  })
+  .loose();
+
+export const mediaSchema = z
+  .object({
+    id: z.number().int().optional(),
+    source_url: z.string(),
+    alt_text: z.string().default(''),
+    mime_type: z.string().optional(),
+    media_details: z
+      .object({
+        width: z.number().int().positive().optional(),
+        height: z.number().int().positive().optional(),
+        filesize: z.number().int().nonnegative().optional(),
+      })
+      .loose()
+      .optional()
+      .catch(undefined),
+  })
+  .loose();
+
+export const postSchema = z
+  .object({
+    id: z.number().int(),
+    date: z.string(),
+    // UTC twins of `date`/`modified`, which are in the site's timezone without an offset.
+    date_gmt: z.string().optional(),
+    modified: z.string().optional(),
+    modified_gmt: z.string().optional(),
+    slug: z.string().min(1),
+    link: z.string().optional(),
+    title: rendered,
+    content: rendered,
+    excerpt: rendered,
+    author: z.number().int().default(0),
+    categories: z.array(z.number().int()).default([]),
+    tags: z.array(z.number().int()).default([]),
+    // Multilingual plugins, when installed: Polylang's language slug and `{ language: post id }` map,
+    // or WPML's locale (`es_ES`) and list of the other translations.
+    lang: z.string().optional().catch(undefined),
+    translations: z.record(z.string(), z.number().int()).optional().catch(undefined),
+    wpml_current_locale: z.string().optional().catch(undefined),
+    wpml_translations: z
+      .array(z.object({ locale: z.string(), id: z.number().int() }).loose())
+      .optional()
+      .catch(undefined),
+    // Embeds are optional extras: a malformed one (e.g. a hidden author's error object) is dropped, not the post.
+    _embedded: z
+      .object({
+        author: z.array(authorSchema).optional().catch(undefined),
+        'wp:featuredmedia': z.array(mediaSchema).optional().catch(undefined),
+        'wp:term': z.array(z.array(termRefSchema)).optional().catch(undefined),
+      })
+      .loose()
+      .optional(),
+  })
+  .loose();
+
+export const pageSchema = z
+  .object({
+    id: z.number().int(),
+    date: z.string(),
+    modified: z.string(),
+    modified_gmt: z.string().optional(),
+    slug: z.string().min(1),
+    link: z.string().optional(),
+    parent: z.number().int().default(0),
+    menu_order: z.number().int().default(0),
+    title: rendered,
+    content: rendered,
+    excerpt: rendered,
+  })
+  .loose();
+
+export const siteRootSchema = z
+  .object({
+    name: z.string().default(''),
+    description: z.string().default(''),
+    url: z.string(),
+    // Settings > General: a named zone, or just a UTC offset in hours when none is chosen.
+    timezone_string: z.string().default(''),
+    gmt_offset: z.coerce.number().default(0).catch(0),
+  })
+  .loose();
+
+export class SchemaError extends Error {
+  constructor(resource: string, detail: string) {
+    super(`Unexpected ${resource} response from WordPress: ${detail}`);
+    this.name = 'SchemaError';
+  }
+}
+
+interface ValidationIssue {
+  id: string;
+  field: string;
+  message: string;
+}
+
+function describe(error: z.ZodError): Omit<ValidationIssue, 'id'>[] {
+  return error.issues.map((issue) => ({
+    field: issue.path.length ? issue.path.join('.') : '(root)',
+    message: issue.message,
+  }));
+}
+
+function printReport(resource: string, issues: ValidationIssue[], dropped: number, total: number) {
+  const lines = issues.map(({ id, field, message }) => `  - ${resource} ${id}: ${field} — ${message}`);
+  console.warn(
+    [`[wp:${resource}] Dropped ${dropped} of ${total} item(s) that failed validation:`, ...lines].join('\n')
+  );
+}
+
+// Validates a collection response item by item: malformed items are dropped and reported, never thrown.
+export function validateList<T extends z.ZodType>(resource: string, schema: T, raw: unknown): z.infer<T>[] {
+  if (!Array.isArray(raw)) {
+    throw new SchemaError(resource, `expected an array, received ${raw === null ? 'null' : typeof raw}`);
+  }
+
+  const valid: z.infer<T>[] = [];
+  const issues: ValidationIssue[] = [];
+  let dropped = 0;
+
+  raw.forEach((item, index) => {
+    const result = schema.safeParse(item);
+    if (result.success) {
+      valid.push(result.data);
+      return;
+    }
+    dropped++;
+    const id = item && typeof item === 'object' && 'id' in item ? `#${item.id}` : `[${index}]`;
+    issues.push(...describe(result.error).map((issue) => ({ id, ...issue })));
+  });
+
+  if (dropped > 0) printReport(resource, issues, dropped, raw.length);
+  return valid;
+}
+
+// Validates a single-object response; an invalid one makes the whole response unusable.
+export function validateItem<T extends z.ZodType>(resource: string, schema: T, raw: unknown): z.infer<T> {
+  const result = schema.safeParse(raw);
+  if (!result.success) {
+    const detail = describe(result.error)
+      .map(({ field, message }) => `${field} — ${message}`)
+      .join('; ');
+    throw new SchemaError(resource, detail);
+  }
+  return result.data;
+}
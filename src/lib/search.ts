@@ -0,0 +1,206 @@
+import type { Post } from './wp';
+import { htmlToText } from './text';
+
+/** The default locale's index; every other locale has its own, e.g. `/es/search-index.json`. */
+export const SEARCH_INDEX_PATH = '/search-index.json';
+
+/** One insight in the search index; short keys keep the JSON small. */
+export interface SearchDocument {
+  /** Route of the insight. */
+  u: string;
+  /** Title. */
+  t: string;
+  /** Excerpt. */
+  e: string;
+  /** h2–h4 headings. */
+  h: string[];
+  /** Body text. */
+  b: string;
+}
+
+const HEADING_PATTERN = /<h([2-4])\b[^>]*>([\s\S]*?)<\/h\1>/gi;
+
+// Runs at build time for /search-index.json; everything else in this module also runs in the browser,
+// so routes come from the caller rather than the build-only collections module.
+export function buildSearchDocuments(posts: Post[], href: (post: Post) => string): SearchDocument[] {
+  return posts.map((post) => ({
+    u: href(post),
+    t: htmlToText(post.title.rendered),
+    e: htmlToText(post.excerpt.rendered),
+    h: [...post.content.rendered.matchAll(HEADING_PATTERN)]
+      .map((match) => htmlToText(match[2]))
+      .filter(Boolean),
+    b: htmlToText(post.content.rendered.replace(/<(script|style)\b[\s\S]*?<\/\1>/gi, '')),
+  }));
+}
+
+// Case- and accent-insensitive: "Análisis" and "analisis" index the same.
+export function normalize(value: string): string {
+  return value
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase();
+}
+
+export function tokenize(value: string): string[] {
+  return normalize(value).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+const FIELD_WEIGHTS = { t: 8, h: 4, e: 2, b: 1 } as const;
+type Field = keyof typeof FIELD_WEIGHTS;
+
+// Exact words beat prefixes ("resil" → "resilience"), which beat typos.
+const EXACT_SCORE = 1;
+const PREFIX_SCORE = 0.7;
+const FUZZY_SCORE = 0.4;
+
+// Typos allowed per query word: none for short words, where a single edit changes the word entirely.
+function maxEdits(term: string): number {
+  return term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+}
+
+// Edit distance counting swapped neighbours as one typo ("sectoin"), giving up once past `limit`.
+function editDistance(a: string, b: string, limit: number): number {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+  let before: number[] = [];
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, substitution);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], before[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    // A swap can still reach back past this row, so give up only when two rows in a row are over.
+    if (rowMin > limit && Math.min(...previous) > limit) return limit + 1;
+    before = previous;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+export interface SearchResult {
+  document: SearchDocument;
+  score: number;
+  /** Indexed words that matched the query, for highlighting. */
+  matches: string[];
+}
+
+/**
+ * In-memory index over the documents. Every query word must match some indexed word
+ * exactly, as a prefix, or within a small edit distance.
+ */
+export function createSearchIndex(documents: SearchDocument[]) {
+  // word → document index → summed field weight
+  const postings = new Map<string, Map<number, number>>();
+  documents.forEach((doc, index) => {
+    for (const field of Object.keys(FIELD_WEIGHTS) as Field[]) {
+      const value = doc[field];
+      for (const word of tokenize(Array.isArray(value) ? value.join(' ') : value)) {
+        let docs = postings.get(word);
+        if (!docs) postings.set(word, (docs = new Map()));
+        docs.set(index, (docs.get(index) ?? 0) + FIELD_WEIGHTS[field]);
+      }
+    }
+  });
+  const vocabulary = [...postings.keys()];
+
+  function expand(term: string): Array<[word: string, quality: number]> {
+    const edits = maxEdits(term);
+    const expanded: Array<[string, number]> = [];
+    for (const word of vocabulary) {
+      if (word === term) expanded.push([word, EXACT_SCORE]);
+      else if (word.startsWith(term)) expanded.push([word, PREFIX_SCORE]);
+      else if (edits > 0 && editDistance(term, word, edits) <= edits) expanded.push([word, FUZZY_SCORE]);
+    }
+    return expanded;
+  }
+
+  return function search(query: string, limit = 10): SearchResult[] {
+    const terms = [...new Set(tokenize(query))];
+    if (terms.length === 0) return [];
+
+    let results: Map<number, SearchResult> | null = null;
+    for (const term of terms) {
+      const hits = new Map<number, SearchResult>();
+      for (const [word, quality] of expand(term)) {
+        for (const [index, weight] of postings.get(word)!) {
+          const hit = hits.get(index) ?? { document: documents[index], score: 0, matches: [] };
+          hit.score += weight * quality;
+          hit.matches.push(word);
+          hits.set(index, hit);
+        }
+      }
+      if (results === null) {
+        results = hits;
+        continue;
+      }
+      // AND semantics: keep only documents matched by every term so far.
+      for (const [index, result] of results) {
+        const hit = hits.get(index);
+        if (!hit) results.delete(index);
+        else {
+          result.score += hit.score;
+          result.matches.push(...hit.matches);
+        }
+      }
+    }
+
+    return [...(results ?? new Map<number, SearchResult>()).values()]
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  };
+}
+
+export interface SnippetPart {
+  text: string;
+  match: boolean;
+}
+
+const SNIPPET_RADIUS = 80;
+
+/**
+ * A window of `text` around the first matched word, split into plain and matched parts
+ * so the caller can highlight without building HTML from strings.
+ */
+export function snippet(text: string, matches: string[], radius = SNIPPET_RADIUS): SnippetPart[] {
+  const words = new Set(matches);
+  const tokens = [...text.matchAll(/[\p{L}\p{N}]+/gu)];
+  const isMatch = (token: string) => words.has(normalize(token));
+
+  const first = tokens.find(([token]) => isMatch(token));
+  const center = first?.index ?? 0;
+  let start = Math.max(0, center - radius);
+  let end = Math.min(text.length, center + radius);
+  // Widen to whole words.
+  if (start > 0) start = text.lastIndexOf(' ', start) + 1;
+  if (end < text.length) {
+    const space = text.indexOf(' ', end);
+    end = space === -1 ? text.length : space;
+  }
+
+  const parts: SnippetPart[] = [];
+  let cursor = start;
+  for (const { 0: token, index } of tokens) {
+    if (index < start || index + token.length > end || !isMatch(token)) continue;
+    if (index > cursor) parts.push({ text: text.slice(cursor, index), match: false });
+    parts.push({ text: token, match: true });
+    cursor = index + token.length;
+  }
+  if (cursor < end) parts.push({ text: text.slice(cursor, end), match: false });
+
+  if (start > 0) parts.unshift({ text: '…', match: false });
+  if (end < text.length) parts.push({ text: '…', match: false });
+  return parts;
+}
+
+// Snippet from the body where a match occurs there, otherwise the start of the excerpt.
+export function resultSnippet({ document, matches }: SearchResult): SnippetPart[] {
+  const body = snippet(document.b, matches);
+  if (body.some((part) => part.match)) return body;
+  return snippet(document.e || document.b, matches);
+}
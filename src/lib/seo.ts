@@ -0,0 +1,72 @@
+import type { SiteInfo } from './wp';
+import { htmlToText } from './text';
+
+// Search engines cut descriptions at roughly this length.
+const DESCRIPTION_LENGTH = 160;
+
+export interface SeoAuthor {
+  name: string;
+  /** Absolute URL of the author's archive or profile. */
+  url?: string;
+}
+
+export interface ArticleMeta {
+  headline: string;
+  description: string;
+  url: string;
+  image?: string;
+  published?: Date;
+  modified?: Date;
+  author?: SeoAuthor;
+  keywords?: string[];
+}
+
+/**
+ * Plain-text meta description from WordPress excerpt HTML: WordPress' trailing "[…]" is
+ * dropped and long text is cut at a word boundary.
+ */
+export function excerptDescription(html: string, maxLength = DESCRIPTION_LENGTH): string {
+  const text = htmlToText(html).replace(/\s*\[(?:…|\.\.\.)\]$/, '');
+  if (text.length <= maxLength) return text;
+  const cut = text.slice(0, maxLength - 1);
+  const boundary = cut.lastIndexOf(' ');
+  return `${(boundary > 0 ? cut.slice(0, boundary) : cut).replace(/[\s.,;:]+$/, '')}…`;
+}
+
+export function organizationJsonLd(site: SiteInfo, url: string) {
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'Organization',
+    name: site.name,
+    description: site.description || undefined,
+    url,
+    logo: site.logo,
+  };
+}
+
+export function blogPostingJsonLd(article: ArticleMeta, site: SiteInfo, siteUrl: string) {
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'BlogPosting',
+    headline: article.headline,
+    description: article.description,
+    mainEntityOfPage: { '@type': 'WebPage', '@id': article.url },
+    url: article.url,
+    image: article.image ? [article.image] : undefined,
+    datePublished: article.published?.toISOString(),
+    dateModified: (article.modified ?? article.published)?.toISOString(),
+    author: article.author ? { '@type': 'Person', name: article.author.name, url: article.author.url } : undefined,
+    publisher: {
+      '@type': 'Organization',
+      name: site.name,
+      url: siteUrl,
+      logo: site.logo ? { '@type': 'ImageObject', url: site.logo } : undefined,
+    },
+    keywords: article.keywords?.length ? article.keywords.join(', ') : undefined,
+  };
+}
+
+// Safe inside <script>: a "</script>" in any string value can't close the element.
+export function serializeJsonLd(data: object): string {
+  return JSON.stringify(data).replace(/</g, '\\u003c');
+}
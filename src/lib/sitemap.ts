@@ -0,0 +1,143 @@
+import { getWpConfig } from './config';
+import {
+  getAllInsights,
+  getInsightCategories,
+  getInsightLanguage,
+  getInsightTags,
+  getInsights,
+  getSitePages,
+} from './collections';
+import { authorHref, getPostAuthor } from './authors';
+import { postsForTerm, termHref } from './taxonomy';
+import { latest, postModified, wpDate } from './dates';
+import { optimizeImage } from './media';
+import { localeHref, LOCALES } from './i18n';
+import { insightHref } from './translations';
+import { escapeXml } from './text';
+import type { Post } from './wp';
+
+export const SITEMAPS = ['pages', 'insights', 'taxonomies'] as const;
+export type SitemapName = (typeof SITEMAPS)[number];
+
+export const SITEMAP_INDEX_PATH = '/sitemap-index.xml';
+
+export function sitemapHref(name: SitemapName): string {
+  return `/sitemap-${name}.xml`;
+}
+
+interface SitemapEntry {
+  /** Root-relative route. */
+  path: string;
+  lastmod?: Date;
+  images?: string[];
+}
+
+// Only production builds may be indexed; staging and local builds ask crawlers to stay away.
+export function isIndexable(): boolean {
+  return getWpConfig().profile === 'production';
+}
+
+function lastModified(posts: Post[]): Date | undefined {
+  return latest(posts.map(postModified));
+}
+
+// The optimized copy the page actually serves, or the upload itself when optimization failed.
+async function featuredImage(post: Post): Promise<string[]> {
+  const source = post._embedded?.['wp:featuredmedia']?.[0]?.source_url;
+  if (!source) return [];
+  return [(await optimizeImage(source))?.src ?? source];
+}
+
+const ENTRIES: Record<SitemapName, () => Promise<SitemapEntry[]>> = {
+  async pages() {
+    const [pages, posts] = await Promise.all([getSitePages(), getInsights()]);
+    return [
+      ...LOCALES.map((locale) => ({ path: localeHref(locale), lastmod: lastModified(posts) })),
+      ...LOCALES.map((locale) => ({ path: localeHref(locale, '/insights'), lastmod: lastModified(posts) })),
+      ...pages.map((page) => ({ path: `/${page.path}`, lastmod: wpDate(page.modified_gmt, page.modified) })),
+    ];
+  },
+
+  // Every post once, at the route in its own language; fallback copies in other locales are canonicalized there.
+  async insights() {
+    const posts = await getAllInsights();
+    return Promise.all(
+      posts.map(async (post) => ({
+        path: insightHref(post, getInsightLanguage(post)),
+        lastmod: postModified(post),
+        images: await featuredImage(post),
+      }))
+    );
+  },
+
+  // Category, tag and author archives, each last modified with its newest post.
+  async taxonomies() {
+    const [posts, categories, tags] = await Promise.all([getInsights(), getInsightCategories(), getInsightTags()]);
+    const archives = new Map<string, Post[]>();
+    for (const term of [...categories, ...tags]) archives.set(termHref(term), postsForTerm(posts, term));
+    for (const post of posts) {
+      const author = getPostAuthor(post);
+      if (!author) continue;
+      const href = authorHref(author);
+      archives.set(href, [...(archives.get(href) ?? []), post]);
+    }
+    return [...archives]
+      .filter(([, archived]) => archived.length > 0)
+      .map(([path, archived]) => ({ path, lastmod: lastModified(archived) }));
+  },
+};
+
+export function getSitemapEntries(name: SitemapName): Promise<SitemapEntry[]> {
+  return ENTRIES[name]();
+}
+
+function xmlResponse(body: string): Response {
+  return new Response(body, { headers: { 'Content-Type': 'application/xml; charset=utf-8' } });
+}
+
+export function sitemapResponse(entries: SitemapEntry[], site: URL): Response {
+  const urls = entries.map(({ path, lastmod, images = [] }) =>
+    [
+      '  <url>',
+      `    <loc>${escapeXml(new URL(path, site).href)}</loc>`,
+      ...(lastmod ? [`    <lastmod>${lastmod.toISOString()}</lastmod>`] : []),
+      ...images.map(
+        (image) => `    <image:image><image:loc>${escapeXml(new URL(image, site).href)}</image:loc></image:image>`
+      ),
+      '  </url>',
+    ].join('\n')
+  );
+  return xmlResponse(
+    [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" ' +
+        'xmlns:image="http://www.google.com/schemas/sitemap-image/1.1">',
+      ...urls,
+      '</urlset>',
+      '',
+    ].join('\n')
+  );
+}
+
+export async function sitemapIndexResponse(site: URL): Promise<Response> {
+  const sitemaps = await Promise.all(
+    SITEMAPS.map(async (name) => {
+      const lastmod = latest((await getSitemapEntries(name)).flatMap((entry) => entry.lastmod ?? []));
+      return [
+        '  <sitemap>',
+        `    <loc>${escapeXml(new URL(sitemapHref(name), site).href)}</loc>`,
+        ...(lastmod ? [`    <lastmod>${lastmod.toISOString()}</lastmod>`] : []),
+        '  </sitemap>',
+      ].join('\n');
+    })
+  );
+  return xmlResponse(
+    [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+      ...sitemaps,
+      '</sitemapindex>',
+      '',
+    ].join('\n')
+  );
+}
@@ -0,0 +1,70 @@
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from 'node:fs';
+import { dirname, resolve } from 'node:path';
+
+// Bump whenever the shape of stored resources changes; older snapshots are then ignored.
+export const SNAPSHOT_VERSION = 2;
+
+export const SNAPSHOT_PATH = resolve(process.cwd(), 'snapshot/wordpress.json');
+
+export type SnapshotKey = 'site' | 'posts' | 'categories' | 'tags' | 'pages' | 'media';
+
+interface SnapshotEntry {
+  fetchedAt: string;
+  data: unknown;
+}
+
+interface SnapshotFile {
+  version: number;
+  source: string;
+  updatedAt: string;
+  resources: Partial<Record<SnapshotKey, SnapshotEntry>>;
+}
+
+let cache: SnapshotFile | null = null;
+
+function load(source: string): SnapshotFile {
+  if (cache && cache.source === source) return cache;
+
+  const empty: SnapshotFile = { version: SNAPSHOT_VERSION, source, updatedAt: '', resources: {} };
+  cache = empty;
+  if (!existsSync(SNAPSHOT_PATH)) return cache;
+
+  try {
+    const file: SnapshotFile = JSON.parse(readFileSync(SNAPSHOT_PATH, 'utf-8'));
+    if (file.version !== SNAPSHOT_VERSION) {
+      console.warn(`Ignoring content snapshot v${file.version}; expected v${SNAPSHOT_VERSION}`);
+    } else if (file.source !== source) {
+      console.warn(`Ignoring content snapshot taken from ${file.source}; current source is ${source}`);
+    } else {
+      cache = file;
+    }
+  } catch (e) {
+    console.warn('Ignoring unreadable content snapshot:', e);
+  }
+  return cache;
+}
+
+export function readSnapshot<T>(source: string, key: SnapshotKey): { data: T; fetchedAt: string } | null {
+  const entry = load(source).resources[key];
+  return entry ? { data: entry.data as T, fetchedAt: entry.fetchedAt } : null;
+}
+
+// Stores a successful response; the file is only rewritten when the data actually changed.
+export function writeSnapshot(source: string, key: SnapshotKey, data: unknown): void {
+  const snapshot = load(source);
+  const previous = snapshot.resources[key];
+  if (previous && JSON.stringify(previous.data) === JSON.stringify(data)) return;
+
+  const now = new Date().toISOString();
+  snapshot.resources[key] = { fetchedAt: now, data };
+  snapshot.updatedAt = now;
+
+  try {
+    mkdirSync(dirname(SNAPSHOT_PATH), { recursive: true });
+    const tmp = `${SNAPSHOT_PATH}.tmp`;
+    writeFileSync(tmp, JSON.stringify(snapshot, null, 2));
+    renameSync(tmp, SNAPSHOT_PATH);
+  } catch (e) {
+    console.warn('Failed to write content snapshot:', e);
+  }
+}
@@ -0,0 +1,166 @@
+// Client-safe: spam checks the contact form runs before handing a message to its transport.
+// Nothing here needs a third-party CAPTCHA; only rejection reports leave the browser, when configured.
+import type { ContactMessage } from './contact';
+
+/** Why a submission was refused; reported with every rejection so the rules can be tuned. */
+export type SpamReason =
+  | 'honeypot'
+  | 'too_fast'
+  | 'throttled'
+  | 'too_many_links'
+  | 'blocked_keyword';
+
+/** Serializable rule settings, built from the environment by getContactConfig(). */
+export interface SpamRules {
+  /** Submissions sooner than this after the page loaded are from bots filling the form instantly. */
+  minSubmitMs: number;
+  /** Messages one browser may send per `throttleWindowMs`. */
+  maxSubmissions: number;
+  throttleWindowMs: number;
+  /** Links allowed across the subject and message. */
+  maxLinks: number;
+  /** Lowercase words or phrases that reject a message outright. */
+  blockedKeywords: string[];
+  /** Leading zero bits the proof-of-work hash needs; 0 skips it. */
+  proofOfWorkBits: number;
+}
+
+export type SpamRejection = { ok: false; reason: SpamReason; detail?: string };
+export type SpamVerdict = { ok: true } | SpamRejection;
+
+/** Body of the beacon sent to `CONTACT_REPORT_URL` for each rejection; never the message itself. */
+export interface RejectionReport {
+  event: 'contact:rejected';
+  reason: SpamReason;
+  detail?: string;
+  page: string;
+  language: string;
+  at: string;
+}
+
+/** Name of the hidden field only bots fill in; not one a password manager would autofill. */
+export const HONEYPOT_FIELD = 'website_url';
+
+// localStorage key holding this browser's recent submission times.
+const SUBMISSIONS_STORAGE_KEY = 'endev_contact_submissions';
+
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)\S+|\[url=|<a\s/gi;
+
+function reject(reason: SpamReason, detail?: string): SpamRejection {
+  return { ok: false, reason, detail };
+}
+
+function readSubmissions(): number[] {
+  try {
+    const stored: unknown = JSON.parse(localStorage.getItem(SUBMISSIONS_STORAGE_KEY) ?? '[]');
+    return Array.isArray(stored) ? stored.filter((time): time is number => typeof time === 'number') : [];
+  } catch {
+    // Private mode or a corrupted entry; throttling is best-effort.
+    return [];
+  }
+}
+
+/** Remembers a delivered message for throttling, forgetting the ones outside the window. */
+export function recordSubmission(rules: SpamRules, now = Date.now()) {
+  const recent = readSubmissions().filter((time) => now - time < rules.throttleWindowMs);
+  try {
+    localStorage.setItem(SUBMISSIONS_STORAGE_KEY, JSON.stringify([...recent, now]));
+  } catch {
+    // Storage full or disabled.
+  }
+}
+
+/**
+ * Logs a rejection's reason code and, when a report URL is configured, sends it there so the
+ * site owner can tune the rules. A beacon posts `text/plain`, which needs no CORS preflight and
+ * still goes out if the visitor leaves the page.
+ */
+export function reportRejection(reportUrl: string | undefined, { reason, detail }: SpamRejection) {
+  console.warn(`[contact:spam] rejected: ${reason}${detail ? ` (${detail})` : ''}`);
+  if (!reportUrl) return;
+  const report: RejectionReport = {
+    event: 'contact:rejected',
+    reason,
+    detail,
+    page: window.location.href,
+    language: document.documentElement.lang,
+    at: new Date().toISOString(),
+  };
+  navigator.sendBeacon(reportUrl, JSON.stringify(report));
+}
+
+export function countLinks(text: string): number {
+  return text.match(LINK_PATTERN)?.length ?? 0;
+}
+
+// Whole-word matches, so a blocked "cialis" doesn't reject "specialist".
+function findKeyword(text: string, keywords: string[]): string | undefined {
+  const lower = text.toLowerCase();
+  return keywords.find((keyword) => {
+    const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|\\W)${escaped}($|\\W)`, 'u').test(lower);
+  });
+}
+
+/**
+ * Runs the cheap checks, in order: honeypot, time to submit, per-browser throttle, link count
+ * and blocked keywords. The proof of work comes after, see solveProofOfWork().
+ */
+export function checkSubmission(
+  rules: SpamRules,
+  message: ContactMessage,
+  { honeypot, startedAt, now = Date.now() }: { honeypot: string; startedAt: number; now?: number }
+): SpamVerdict {
+  if (honeypot) return reject('honeypot');
+
+  const elapsed = now - startedAt;
+  if (elapsed < rules.minSubmitMs) return reject('too_fast', `${elapsed}ms`);
+
+  const recent = readSubmissions().filter((time) => now - time < rules.throttleWindowMs);
+  if (recent.length >= rules.maxSubmissions) return reject('throttled', `${recent.length} sent`);
+
+  const text = `${message.name}\n${message.subject}\n${message.message}`;
+  const links = countLinks(text);
+  if (links > rules.maxLinks) return reject('too_many_links', `${links} links`);
+
+  const keyword = findKeyword(text, rules.blockedKeywords);
+  if (keyword) return reject('blocked_keyword', keyword);
+
+  return { ok: true };
+}
+
+// The proof is bound to the sender and subject, so a solved token can't be reused for other messages.
+function challenge(issuedAt: number, message: ContactMessage): string {
+  return `${issuedAt}:${message.email.trim().toLowerCase()}:${message.subject.trim()}`;
+}
+
+async function leadingZeroBits(input: string): Promise<number> {
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(input)));
+  let bits = 0;
+  for (const byte of digest) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    return bits + Math.clz32(byte) - 24;
+  }
+  return bits;
+}
+
+/**
+ * Hashcash-style proof of work: finds a nonce whose SHA-256 of `<issuedAt>:<email>:<subject>:<nonce>`
+ * (email trimmed and lowercased, subject trimmed) starts with `bits` zero bits, about 2^bits hashes
+ * (~1 s for 16 bits). Returns the `<issuedAt>.<nonce>` token, or undefined when the rules disable it.
+ * Only worth solving for transports that pass it on (`carriesProof`); checking it is up to the receiver.
+ */
+export async function solveProofOfWork(
+  rules: SpamRules,
+  message: ContactMessage,
+  issuedAt = Date.now()
+): Promise<string | undefined> {
+  if (rules.proofOfWorkBits === 0) return undefined;
+  const prefix = challenge(issuedAt, message);
+  for (let nonce = 0; ; nonce++) {
+    if ((await leadingZeroBits(`${prefix}:${nonce}`)) >= rules.proofOfWorkBits) return `${issuedAt}.${nonce}`;
+  }
+}
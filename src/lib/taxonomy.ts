@@ -0,0 +1,43 @@
+import type { Post, Term } from './wp';
+import { restPageSlices, type PageSlice } from './pagination';
+
+export type TermRef = Pick<Term, 'id' | 'name' | 'slug' | 'taxonomy'>;
+
+const ARCHIVE_SEGMENT: Record<Term['taxonomy'], string> = {
+  category: 'category',
+  post_tag: 'tag',
+};
+
+export function termHref(term: Pick<Term, 'slug' | 'taxonomy'>): string {
+  return `/insights/${ARCHIVE_SEGMENT[term.taxonomy]}/${term.slug}`;
+}
+
+// Terms embedded through `_embed`, categories first, then tags.
+export function getPostTerms(post: Post): TermRef[] {
+  const groups = post._embedded?.['wp:term'] ?? [];
+  return groups
+    .flat()
+    .filter((term): term is TermRef => term.taxonomy === 'category' || term.taxonomy === 'post_tag')
+    .sort((a, b) => (a.taxonomy === b.taxonomy ? 0 : a.taxonomy === 'category' ? -1 : 1));
+}
+
+export function postsForTerm(posts: Post[], term: Term): Post[] {
+  const field = term.taxonomy === 'category' ? 'categories' : 'tags';
+  return posts.filter((post) => post[field]?.includes(term.id));
+}
+
+export interface TermArchiveProps {
+  term: Term;
+  page: PageSlice<Post>;
+}
+
+export function termArchivePaths(terms: Term[], posts: Post[]) {
+  return terms.flatMap((term) => {
+    const termPosts = postsForTerm(posts, term);
+    if (termPosts.length === 0) return [];
+    return restPageSlices(termPosts).map(({ param, page }) => ({
+      params: { slug: term.slug, page: param },
+      props: { term, page } satisfies TermArchiveProps,
+    }));
+  });
+}
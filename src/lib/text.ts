@@ -0,0 +1,54 @@
+const NAMED_ENTITIES: Record<string, string> = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  hellip: '…',
+  ndash: '–',
+  mdash: '—',
+};
+
+// WordPress returns titles and term names HTML-encoded; decode them for plain-text contexts.
+export function decodeEntities(value: string): string {
+  return value.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity: string) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isNaN(code) ? match : String.fromCodePoint(code);
+    }
+    return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+export function escapeXml(value: string): string {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Plain text for attributes and <title>: tags dropped, entities decoded, whitespace collapsed.
+export function htmlToText(html: string): string {
+  const text = html
+    .replace(/<\/?(p|div|br|li|h[1-6]|blockquote|pre|tr|td|th|figure|figcaption)\b[^>]*>/gi, ' ')
+    .replace(/<[^>]*>/g, '');
+  return decodeEntities(text).replace(/\s+/g, ' ').trim();
+}
+
+// Average silent reading speed for non-fiction prose.
+const WORDS_PER_MINUTE = 200;
+
+export interface ReadingStats {
+  words: number;
+  /** Estimated reading time, rounded, never below one minute. */
+  minutes: number;
+}
+
+export function readingStats(html: string): ReadingStats {
+  const text = htmlToText(html);
+  const words = text ? text.split(' ').length : 0;
+  return { words, minutes: Math.max(1, Math.round(words / WORDS_PER_MINUTE)) };
+}
@@ -0,0 +1,45 @@
+import { postLanguage, postTranslationIds, type Post } from './wp';
+import { DEFAULT_LOCALE, isLocale, localeHref, type Locale } from './i18n';
+
+/** Route of an insight in a UI locale: `/insights/<slug>`, `/es/insights/<slug>`, ... */
+export function insightHref(post: Pick<Post, 'slug'>, locale: Locale = DEFAULT_LOCALE): string {
+  return localeHref(locale, `/insights/${post.slug}`);
+}
+
+// Untagged posts, and posts in a language the site has no UI for, count as the fallback language.
+export function insightLanguage(post: Post, fallback: Locale): Locale {
+  const language = postLanguage(post);
+  return isLocale(language) ? language : fallback;
+}
+
+/** A post and its translations, keyed by language. */
+export type TranslationGroup = Map<Locale, Post>;
+
+/**
+ * Groups posts with their translations, in the order of `posts`. Translations the build doesn't
+ * have (drafts, trashed posts) are skipped; without a multilingual plugin every post is its own group.
+ */
+export function groupTranslations(posts: Post[], fallback: Locale): TranslationGroup[] {
+  const byId = new Map(posts.map((post) => [post.id, post]));
+  const grouped = new Set<number>();
+  const groups: TranslationGroup[] = [];
+  for (const post of posts) {
+    if (grouped.has(post.id)) continue;
+    const group: TranslationGroup = new Map();
+    for (const id of [post.id, ...postTranslationIds(post).values()]) {
+      const member = byId.get(id);
+      const language = member && insightLanguage(member, fallback);
+      // A second post in the same language is a plugin inconsistency; it stays a group of its own.
+      if (!member || !language || grouped.has(id) || group.has(language)) continue;
+      group.set(language, member);
+      grouped.add(id);
+    }
+    groups.push(group);
+  }
+  return groups;
+}
+
+/** The version of a group shown in `locale`: its translation, else the fallback language's, else any. */
+export function pickTranslation(group: TranslationGroup, locale: Locale, fallback: Locale): Post {
+  return group.get(locale) ?? group.get(fallback) ?? [...group.values()][0];
+}
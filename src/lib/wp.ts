@@ -1,83 +1,359 @@
-const WP_URL = 'https://coury.endev.us';
-const API_URL = `${WP_URL}/wp-json`;
-
-export interface Post {
-  id: number;
-  date: string;
-  slug: string;
-  title: {
-    rendered: string;
-  };
-  content: {
-    rendered: string;
-  };
-  excerpt: {
-    rendered: string;
-  };
-  _embedded?: {
-    'wp:featuredmedia'?: Array<{
-      source_url: string;
-      alt_text: string;
-    }>;
-  };
-}
+import { getWpConfig, type WpConfig } from './config';
+import { createHttpClient, type HttpClient } from './http';
+import { readSnapshot, writeSnapshot, type SnapshotKey } from './snapshot';
+import type { z } from 'astro/zod';
+import type { Loader } from 'astro/loaders';
+import {
+  authorSchema,
+  mediaSchema,
+  pageSchema,
+  postSchema,
+  SchemaError,
+  siteRootSchema,
+  termSchema,
+  validateItem,
+  validateList,
+} from './schema';
+
+export type Post = z.infer<typeof postSchema>;
+export type Author = z.infer<typeof authorSchema>;
+export type Term = z.infer<typeof termSchema>;
+export type Media = z.infer<typeof mediaSchema>;
+
+/** A page as WordPress returns it, before withPaths(). */
+export type PageInput = z.infer<typeof pageSchema>;
+
+export type Page = PageInput & {
+  /** Slash-joined slugs of the page and its ancestors, e.g. `services/consulting`. */
+  path: string;
+};
 
 export interface SiteInfo {
   name: string;
   description: string;
   url: string;
   logo?: string;
+  /** IANA timezone from the WordPress settings. */
+  timezone?: string;
 }
 
-async function fetchWithRetry(url: string, retries = 3): Promise<Response> {
-  for (let i = 0; i < retries; i++) {
-    try {
-      const res = await fetch(url, { signal: AbortSignal.timeout(10000) });
-      if (res.ok) return res;
-    } catch (e) {
-      if (i === retries - 1) throw e;
-      await new Promise(resolve => setTimeout(resolve, 1000 * (i + 1)));
-    }
+// `es_ES`, `es-ES` and `es` all name Spanish.
+function languageCode(tag: string): string {
+  return tag.split(/[-_]/)[0].toLowerCase();
+}
+
+/** Language code of a post as tagged by Polylang or WPML; undefined without a multilingual plugin. */
+export function postLanguage(post: Post): string | undefined {
+  const tag = post.lang || post.wpml_current_locale;
+  return tag ? languageCode(tag) : undefined;
+}
+
+/** Ids of a post's translations by language code, the post itself included when its language is known. */
+export function postTranslationIds(post: Post): Map<string, number> {
+  const ids = new Map<string, number>();
+  for (const [tag, id] of Object.entries(post.translations ?? {})) ids.set(languageCode(tag), id);
+  for (const { locale, id } of post.wpml_translations ?? []) ids.set(languageCode(locale), id);
+  const own = postLanguage(post);
+  if (own) ids.set(own, post.id);
+  return ids;
+}
+
+function requestHeaders(config: WpConfig): HeadersInit {
+  if (!config.auth) return {};
+  const credentials = Buffer.from(`${config.auth.username}:${config.auth.password}`).toString('base64');
+  return { Authorization: `Basic ${credentials}` };
+}
+
+// One client per config, so every page of a build shares its request memo and concurrency cap.
+const clients = new WeakMap<WpConfig, HttpClient>();
+
+function getClient(config: WpConfig): HttpClient {
+  let client = clients.get(config);
+  if (!client) {
+    client = createHttpClient({
+      headers: requestHeaders(config),
+      timeoutMs: config.timeoutMs,
+      retries: config.retries,
+      concurrency: config.concurrency,
+    });
+    clients.set(config, client);
   }
-  throw new Error(`Failed to fetch ${url} after ${retries} retries`);
+  return client;
 }
 
-export async function getSiteInfo(): Promise<SiteInfo> {
-  try {
-    const res = await fetchWithRetry(`${API_URL}/`);
-    const data = await res.json();
+// Concatenates every page of a collection; items are validated by the caller.
+async function fetchAllPages(endpoint: string, config: WpConfig): Promise<unknown[]> {
+  const separator = endpoint.includes('?') ? '&' : '?';
+  const { perPage } = config;
+  const pageUrl = (page: number) => `${config.apiUrl}${endpoint}${separator}per_page=${perPage}&page=${page}`;
+
+  const client = getClient(config);
+  const first = await client.getJson<unknown>(pageUrl(1));
+  const total = Number(first.headers.get('X-WP-Total')) || 0;
+  const totalPages = Number(first.headers.get('X-WP-TotalPages')) || Math.ceil(total / perPage) || 1;
+
+  // Remaining pages are requested together; the client caps how many run at once.
+  const rest = await Promise.all(
+    Array.from({ length: totalPages - 1 }, (_, i) => client.getJson<unknown>(pageUrl(i + 2)))
+  );
+  const items = [first, ...rest].flatMap((res, i) => {
+    if (!Array.isArray(res.data)) throw new SchemaError(endpoint, `page ${i + 1} is not an array`);
+    return res.data;
+  });
+
+  if (total && items.length !== total) {
+    console.warn(`Expected ${total} items from ${endpoint}, received ${items.length}`);
+  }
+  return items;
+}
+
+function fallbackSiteInfo(config: WpConfig): SiteInfo {
+  return {
+    name: 'ENDEV',
+    description: 'Resilient Digital Ecosystems',
+    url: config.url,
+  };
+}
+
+interface CollectionItems {
+  posts: Post;
+  pages: PageInput;
+  categories: Term;
+  tags: Term;
+}
+
+type CollectionKey = keyof CollectionItems;
+type CollectionItem<K extends CollectionKey> = CollectionItems[K];
+
+// Mapped per key, so `collections[key].schema` keeps its own item type under a generic key.
+const collections: {
+  [K in CollectionKey]: { endpoint: string; ids: string | null; schema: z.ZodType<CollectionItem<K>> };
+} = {
+  posts: { endpoint: '/wp/v2/posts?_embed', ids: '/wp/v2/posts?_fields=id', schema: postSchema },
+  pages: { endpoint: '/wp/v2/pages?orderby=menu_order&order=asc', ids: '/wp/v2/pages?_fields=id', schema: pageSchema },
+  // Taxonomies carry no modified date, so they are always fetched in full.
+  categories: { endpoint: '/wp/v2/categories?hide_empty=true', ids: null, schema: termSchema },
+  tags: { endpoint: '/wp/v2/tags?hide_empty=true', ids: null, schema: termSchema },
+};
+
+async function fetchCollection<K extends CollectionKey>(key: K, config: WpConfig, query = ''): Promise<CollectionItem<K>[]> {
+  const { endpoint, schema } = collections[key];
+  return validateList(key, schema, await fetchAllPages(`${endpoint}${query}`, config));
+}
+
+// A bare UTC offset maps to an Etc/GMT zone, whose sign is inverted by convention; half hours have none.
+function siteTimezone({ timezone_string, gmt_offset }: z.infer<typeof siteRootSchema>): string | undefined {
+  if (timezone_string) return timezone_string;
+  if (!Number.isInteger(gmt_offset)) return undefined;
+  return gmt_offset === 0 ? 'UTC' : `Etc/GMT${gmt_offset > 0 ? '-' : '+'}${Math.abs(gmt_offset)}`;
+}
+
+// Resource loaders hit the network only; getSiteInfo() adds snapshot fallback, and the collections
+// read through wordpressLoader() below. syncSnapshot() refreshes them all, and media after them.
+const loaders = {
+  site: async (config: WpConfig): Promise<SiteInfo> => {
+    const res = await getClient(config).getJson<unknown>(`${config.apiUrl}/`);
+    const data = validateItem('site', siteRootSchema, res.data);
     return {
       name: data.name || 'ENDEV',
       description: data.description || 'Resilient Digital Ecosystems',
       url: data.url,
-      logo: `https://coury.endev.us/wp-content/uploads/logo.png`
-    };
-  } catch (e) {
-    console.warn('Fallback metadata used due to fetch failure');
-    return {
-      name: 'ENDEV',
-      description: 'Resilient Digital Ecosystems',
-      url: WP_URL,
+      logo: config.logoUrl,
+      timezone: siteTimezone(data),
     };
+  },
+  posts: (config: WpConfig) => fetchCollection('posts', config),
+  categories: (config: WpConfig) => fetchCollection('categories', config),
+  tags: (config: WpConfig) => fetchCollection('tags', config),
+  // Stored without `path`; withPaths() derives it, since a parent may change without its children.
+  pages: (config: WpConfig) => fetchCollection('pages', config),
+} satisfies Record<Exclude<SnapshotKey, 'media'>, (config: WpConfig) => Promise<unknown>>;
+
+type LoaderKey = keyof typeof loaders;
+type Loaded<K extends LoaderKey> = Awaited<ReturnType<(typeof loaders)[K]>>;
+
+// Each resource is resolved once per build, whether from the network or the snapshot.
+const resolved = new Map<string, Promise<unknown>>();
+
+function withSnapshot<K extends LoaderKey>(key: K, config: WpConfig, fallback: Loaded<K>): Promise<Loaded<K>> {
+  const memoKey = `${config.url}#${key}`;
+  if (!resolved.has(memoKey)) {
+    resolved.set(memoKey, loadWithSnapshot(key, config, fallback));
   }
+  return resolved.get(memoKey) as Promise<Loaded<K>>;
 }
 
-export async function getPosts(): Promise<Post[]> {
+// Fetches a resource and records it in the snapshot; on failure serves the last good snapshot instead.
+async function loadWithSnapshot<K extends LoaderKey>(key: K, config: WpConfig, fallback: Loaded<K>): Promise<Loaded<K>> {
   try {
-    const res = await fetchWithRetry(`${API_URL}/wp/v2/posts?_embed&per_page=10`);
-    return res.json();
+    const data = (await loaders[key](config)) as Loaded<K>;
+    writeSnapshot(config.url, key, data);
+    return data;
   } catch (e) {
-    console.error('Failed to fetch posts:', e);
-    return [];
+    const snapshot = readSnapshot<Loaded<K>>(config.url, key);
+    if (snapshot) {
+      console.warn(`Failed to fetch ${key}; using snapshot from ${snapshot.fetchedAt}`);
+      return snapshot.data;
+    }
+    console.error(`Failed to fetch ${key} and no snapshot is available:`, e);
+    return fallback;
   }
 }
 
-export async function getPostBySlug(slug: string): Promise<Post | null> {
-  try {
-    const res = await fetchWithRetry(`${API_URL}/wp/v2/posts?slug=${slug}&_embed`);
-    const posts = await res.json();
-    return posts[0] || null;
-  } catch (e) {
-    return null;
+export async function getSiteInfo(config = getWpConfig()): Promise<SiteInfo> {
+  return withSnapshot('site', config, fallbackSiteInfo(config));
+}
+
+// Ids of the attachments that `wp-image-{id}` classes reference in rendered content.
+function attachmentIds(html: string): number[] {
+  return [...html.matchAll(/\bwp-image-(\d+)\b/g)].map((match) => Number(match[1]));
+}
+
+async function fetchMedia(ids: number[], config: WpConfig): Promise<Media[]> {
+  const endpoint = `/wp/v2/media?include=${ids.join(',')}&_fields=id,source_url,alt_text,media_details`;
+  return validateList('media', mediaSchema, await fetchAllPages(endpoint, config));
+}
+
+// The snapshot keeps every attachment a build has looked up, by id, so offline builds keep their metadata.
+function rememberMedia(config: WpConfig, media: Media[]) {
+  const known = readSnapshot<Media[]>(config.url, 'media')?.data ?? [];
+  const byId = new Map([...known, ...media].map((item) => [item.id, item]));
+  writeSnapshot(config.url, 'media', [...byId.values()].sort((a, b) => (a.id ?? 0) - (b.id ?? 0)));
+}
+
+// Sources whose media endpoint failed this build; later lookups go straight to the snapshot.
+const mediaUnreachable = new Set<string>();
+
+/**
+ * Metadata (alt text, intrinsic size) for attachments referenced by `wp-image-{id}` classes in
+ * content. Falls back to the snapshot when WordPress is unreachable, and to nothing (the inline
+ * attributes) for attachments it has never seen.
+ */
+export async function getMediaByIds(ids: number[], config = getWpConfig()): Promise<Media[]> {
+  const unique = [...new Set(ids)].sort((a, b) => a - b);
+  if (unique.length === 0) return [];
+  if (!mediaUnreachable.has(config.url)) {
+    try {
+      const media = await fetchMedia(unique, config);
+      rememberMedia(config, media);
+      return media;
+    } catch (e) {
+      mediaUnreachable.add(config.url);
+      const reason = e instanceof Error ? e.message : String(e);
+      console.warn(`Failed to fetch media; using snapshot metadata for this build: ${reason}`);
+    }
+  }
+  const wanted = new Set(unique);
+  return (readSnapshot<Media[]>(config.url, 'media')?.data ?? []).filter((item) => wanted.has(item.id ?? -1));
+}
+
+// Resolve each page's full path by walking its `parent` chain.
+export function withPaths(pages: PageInput[]): Page[] {
+  const byId = new Map(pages.map((page) => [page.id, page]));
+  return pages.map((page) => {
+    const segments = [page.slug];
+    const seen = new Set([page.id]);
+    let parent = byId.get(page.parent);
+    while (parent && !seen.has(parent.id)) {
+      segments.unshift(parent.slug);
+      seen.add(parent.id);
+      parent = byId.get(parent.parent);
+    }
+    return { ...page, path: segments.join('/') };
+  });
+}
+
+// Refreshes every snapshot resource from the network, failing loudly instead of falling back.
+export async function syncSnapshot(config = getWpConfig()): Promise<Record<SnapshotKey, number>> {
+  const counts = {} as Record<SnapshotKey, number>;
+  for (const key of Object.keys(loaders) as LoaderKey[]) {
+    const data = await loaders[key](config);
+    writeSnapshot(config.url, key, data);
+    counts[key] = Array.isArray(data) ? data.length : 1;
   }
+  // Attachments referenced by the content just synced, replacing whatever the snapshot held.
+  // The client memoizes responses, so posts and pages aren't downloaded again.
+  const [posts, pages] = await Promise.all([loaders.posts(config), loaders.pages(config)]);
+  const ids = [...posts, ...pages].flatMap((item) => attachmentIds(item.content.rendered));
+  const unique = [...new Set(ids)].sort((a, b) => a - b);
+  const media = unique.length ? await fetchMedia(unique, config) : [];
+  writeSnapshot(config.url, 'media', media);
+  counts.media = media.length;
+  return counts;
+}
+
+// `modified` is in the site's timezone, which is also how WordPress compares `modified_after`.
+function latestModified(items: Array<{ modified?: string }>, previous?: string): string | undefined {
+  return items.reduce<string | undefined>((latest, item) => {
+    return item.modified && (!latest || item.modified > latest) ? item.modified : latest;
+  }, previous);
+}
+
+/**
+ * Content Layer loader for one WordPress collection. Posts and pages sync incrementally:
+ * after the first full load only items with `modified_after` the last seen `modified`
+ * are fetched, deletions are pruned against a cheap id listing, and entries whose
+ * digest is unchanged are left alone. If WordPress is unreachable the stored entries
+ * are kept, or seeded from the content snapshot on a cold start.
+ */
+export function wordpressLoader(key: CollectionKey): Loader {
+  const { ids: idsEndpoint, schema } = collections[key];
+
+  return {
+    name: `wordpress-${key}`,
+    schema,
+    async load({ store, meta, logger, generateDigest }) {
+      const config = getWpConfig();
+      const since = meta.get('modified-after');
+      const incremental = Boolean(idsEndpoint && since && meta.get('source') === config.url && store.keys().length);
+
+      try {
+        const query = incremental ? `&modified_after=${encodeURIComponent(since!)}` : '';
+        const items = await fetchCollection(key, config, query);
+
+        // Incremental responses only hold changed items, so liveness comes from the id listing.
+        const live = incremental
+          ? new Set((await fetchAllPages(idsEndpoint!, config)).map((item) => String((item as { id: number }).id)))
+          : new Set(items.map((item) => String(item.id)));
+        let removed = 0;
+        for (const id of store.keys()) {
+          if (!live.has(id)) {
+            store.delete(id);
+            removed++;
+          }
+        }
+
+        let updated = 0;
+        for (const item of items) {
+          if (store.set({ id: String(item.id), data: item, digest: generateDigest(item) })) updated++;
+        }
+
+        // Only posts and pages have an id listing, and both carry `modified`.
+        const latest = idsEndpoint ? latestModified(items as Array<{ modified?: string }>, since) : undefined;
+        if (latest) meta.set('modified-after', latest);
+        meta.set('source', config.url);
+        writeSnapshot(config.url, key, store.values().map((entry) => entry.data));
+
+        logger.info(
+          `${incremental ? 'Incremental' : 'Full'} sync: ${updated} updated, ${removed} removed, ${store.keys().length} total`
+        );
+      } catch (e) {
+        if (store.keys().length) {
+          logger.warn(`WordPress unreachable, keeping ${store.keys().length} stored entries: ${e}`);
+          return;
+        }
+        const snapshot = readSnapshot<Array<CollectionItem<typeof key>>>(config.url, key);
+        if (!snapshot) {
+          logger.error(`WordPress unreachable and no snapshot is available: ${e}`);
+          return;
+        }
+        for (const item of snapshot.data) {
+          store.set({ id: String(item.id), data: item, digest: generateDigest(item) });
+        }
+        // Force a full sync next time so the snapshot's gaps are filled in.
+        meta.delete('modified-after');
+        logger.warn(`WordPress unreachable, seeded ${snapshot.data.length} entries from snapshot of ${snapshot.fetchedAt}`);
+      }
+    },
+  };
 }
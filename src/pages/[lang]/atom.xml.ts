@@ -0,0 +1,8 @@
+import type { APIRoute } from 'astro';
+import { feedResponse, getSiteFeed } from '../../lib/feeds';
+import { getLocale, localePaths } from '../../lib/i18n';
+
+export const getStaticPaths = localePaths;
+
+export const GET: APIRoute = async ({ params, site }) =>
+  feedResponse(await getSiteFeed(site!, getLocale(params.lang)), 'atom');
@@ -0,0 +1,6 @@
+import { localePaths } from '../../lib/i18n';
+
+// The search index again for every non-default locale.
+export const getStaticPaths = localePaths;
+
+export { GET } from '../search-index.json';
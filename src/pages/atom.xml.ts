@@ -0,0 +1,4 @@
+import type { APIRoute } from 'astro';
+import { feedResponse, getSiteFeed } from '../lib/feeds';
+
+export const GET: APIRoute = async ({ site }) => feedResponse(await getSiteFeed(site!), 'atom');
@@ -0,0 +1,8 @@
+import type { APIRoute } from 'astro';
+import type { Term } from '../../../../lib/wp';
+import { categoryFeedPaths, feedResponse, getCategoryFeed } from '../../../../lib/feeds';
+
+export const getStaticPaths = categoryFeedPaths;
+
+export const GET: APIRoute<{ term: Term }> = async ({ props, site }) =>
+  feedResponse(await getCategoryFeed(props.term, site!), 'rss');
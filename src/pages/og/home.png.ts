@@ -0,0 +1,14 @@
+import type { APIRoute } from 'astro';
+import { getSiteInfo } from '../../lib/wp';
+import { getInsights } from '../../lib/collections';
+import { pngResponse, renderOgImage } from '../../lib/og-image';
+
+export const GET: APIRoute = async ({ site }) => {
+  const [info, posts] = await Promise.all([getSiteInfo(), getInsights()]);
+  const png = await renderOgImage({
+    eyebrow: `CORE_CLUSTER // ${posts.length} ACTIVE_NODES`,
+    title: info.description || info.name,
+    caption: site!.host,
+  });
+  return pngResponse(png);
+};
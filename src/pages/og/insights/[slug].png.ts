@@ -0,0 +1,26 @@
+import type { APIRoute } from 'astro';
+import type { Post } from '../../../lib/wp';
+import { getAllInsights, getInsightLanguage } from '../../../lib/collections';
+import { insightOgImageName, pngResponse, renderOgImage } from '../../../lib/og-image';
+import { htmlToText } from '../../../lib/text';
+import { postPublished } from '../../../lib/dates';
+import { getFormatter } from '../../../lib/format';
+
+export async function getStaticPaths() {
+  const posts = await getAllInsights();
+  return posts.map((post) => ({
+    params: { slug: insightOgImageName(post.slug, getInsightLanguage(post)) },
+    props: { post },
+  }));
+}
+
+export const GET: APIRoute<{ post: Post }> = async ({ props: { post }, site }) => {
+  // In the language of the post, like its title.
+  const format = await getFormatter(getInsightLanguage(post));
+  const png = await renderOgImage({
+    eyebrow: `NODE_${post.id} // ${format.date(postPublished(post))}`,
+    title: htmlToText(post.title.rendered),
+    caption: site!.host,
+  });
+  return pngResponse(png);
+};
@@ -0,0 +1,10 @@
+import type { APIRoute } from 'astro';
+import { isIndexable, SITEMAP_INDEX_PATH } from '../lib/sitemap';
+
+export const GET: APIRoute = ({ site }) => {
+  const rules = isIndexable()
+    ? ['User-agent: *', 'Allow: /', '', `Sitemap: ${new URL(SITEMAP_INDEX_PATH, site).href}`]
+    : // Staging and local builds: nothing may be crawled (pages also carry a noindex meta tag).
+      ['User-agent: *', 'Disallow: /'];
+  return new Response(`${rules.join('\n')}\n`, { headers: { 'Content-Type': 'text/plain; charset=utf-8' } });
+};
@@ -0,0 +1,18 @@
+import type { APIRoute } from 'astro';
+import type { Post } from '../lib/wp';
+import { getInsightLanguage, getInsights } from '../lib/collections';
+import { getLocale } from '../lib/i18n';
+import { insightHref } from '../lib/translations';
+import { buildSearchDocuments } from '../lib/search';
+
+// Prebuilt at deploy time, one per locale (see [lang]/search-index.json.ts); the header search
+// overlay fetches its page's on first open. It holds the insights that locale lists: its
+// translations, plus the fallback copies of untranslated posts.
+export const GET: APIRoute = async ({ params }) => {
+  // Each insight at its canonical route, in the language it is written in.
+  const href = (post: Post) => insightHref(post, getInsightLanguage(post));
+  const documents = buildSearchDocuments(await getInsights(getLocale(params.lang)), href);
+  return new Response(JSON.stringify(documents), {
+    headers: { 'Content-Type': 'application/json' },
+  });
+};
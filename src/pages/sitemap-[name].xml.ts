@@ -0,0 +1,9 @@
+import type { APIRoute } from 'astro';
+import { getSitemapEntries, sitemapResponse, SITEMAPS, type SitemapName } from '../lib/sitemap';
+
+export function getStaticPaths() {
+  return SITEMAPS.map((name) => ({ params: { name } }));
+}
+
+export const GET: APIRoute = async ({ params, site }) =>
+  sitemapResponse(await getSitemapEntries(params.name as SitemapName), site!);
@@ -0,0 +1,4 @@
+import type { APIRoute } from 'astro';
+import { sitemapIndexResponse } from '../lib/sitemap';
+
+export const GET: APIRoute = async ({ site }) => sitemapIndexResponse(site!);